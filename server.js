@@ -5,11 +5,42 @@ import axios from 'axios';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import { createClient } from '@supabase/supabase-js';
+import Ajv from 'ajv';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { mkdtemp, writeFile, readFile, readdir, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { createTwoFilesPatch, diffLines } from 'diff';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+} from '@modelcontextprotocol/sdk/types.js';
 
 dotenv.config();
 
+// `node server.js --mcp-stdio` runs only the MCP server; stdout is reserved for its JSON-RPC stream
+const MCP_STDIO = process.argv.includes('--mcp-stdio');
+
+if (MCP_STDIO) {
+  console.log = (...args) => console.error(...args);
+}
+
 const app = express();
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Webhook signatures are computed over the exact bytes HighLevel sent
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(cors({
   origin: [
     'https://delveranda-auditor-dashboard.lovable.app',
@@ -18,7 +49,7 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Location-Id']
 }));
 
 const anthropic = new Anthropic({
@@ -29,14 +60,470 @@ const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
 });
 
+// Any server exposing the OpenAI /audio/transcriptions API (faster-whisper, whisper.cpp, ...)
+const localWhisper = process.env.LOCAL_WHISPER_URL
+  ? new OpenAI({
+      apiKey: process.env.LOCAL_WHISPER_API_KEY || 'local',
+      baseURL: process.env.LOCAL_WHISPER_URL,
+    })
+  : null;
+
+const transcriptionProviders = {
+  openai: {
+    client: openai,
+    model: process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1',
+    maxBytes: 25 * 1024 * 1024,
+  },
+  local: {
+    client: localWhisper,
+    model: process.env.LOCAL_WHISPER_MODEL || 'whisper-1',
+    maxBytes: parseInt(process.env.LOCAL_WHISPER_MAX_BYTES || String(25 * 1024 * 1024)),
+  },
+};
+
 const HIGHLEVEL_API_KEY = process.env.HIGHLEVEL_API_KEY;
 const HIGHLEVEL_LOCATION_ID = process.env.HIGHLEVEL_LOCATION_ID;
 
+const HIGHLEVEL_BASE_URL = 'https://services.leadconnectorhq.com';
+const HIGHLEVEL_API_VERSION = '2021-07-28';
+const HIGHLEVEL_BURST_LIMIT = parseInt(process.env.HIGHLEVEL_BURST_LIMIT || '100');
+const HIGHLEVEL_BURST_WINDOW_MS = 10000;
+const HIGHLEVEL_DAILY_LIMIT = parseInt(process.env.HIGHLEVEL_DAILY_LIMIT || '200000');
+const HIGHLEVEL_MAX_RETRIES = parseInt(process.env.HIGHLEVEL_MAX_RETRIES || '4');
+const HIGHLEVEL_DAILY_RECHECK_MS = parseInt(process.env.HIGHLEVEL_DAILY_RECHECK_MS || String(5 * 60 * 1000));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function parseRetryAfter(headers) {
+  const value = headers?.['retry-after'];
+  if (!value) return null;
+  
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+
+// A 429 was never processed, so any method can retry it. Anything else may have reached
+// HighLevel, so only idempotent methods (or callers passing `retry: true`) try again.
+function isRetryableError(error, method, retry) {
+  const status = error.response?.status;
+  if (status === 429) return true;
+  if (!retry && !IDEMPOTENT_METHODS.includes(method.toLowerCase())) return false;
+  if (status >= 500) return true;
+  return !error.response && ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'].includes(error.code);
+}
+
+// HighLevel allows HIGHLEVEL_BURST_LIMIT requests per 10s and HIGHLEVEL_DAILY_LIMIT per day
+// per location. Requests wait for a free slot locally, and the quota headers HighLevel returns
+// take over as soon as we have seen one. An exhausted daily quota lets one probe request through
+// every HIGHLEVEL_DAILY_RECHECK_MS, since only a response can tell us HighLevel has reset it.
+function createHighLevelClient({ locationId, getAccessToken, refreshAccessToken }) {
+  const recentRequests = [];
+  let dailyCount = 0;
+  let dailyWindowStart = Date.now();
+  
+  const quota = {
+    burstLimit: HIGHLEVEL_BURST_LIMIT,
+    burstRemaining: null,
+    dailyLimit: HIGHLEVEL_DAILY_LIMIT,
+    dailyRemaining: null,
+    updatedAt: null,
+  };
+  
+  function recordQuota(headers) {
+    if (!headers?.['x-ratelimit-remaining']) return;
+    
+    quota.burstLimit = parseInt(headers['x-ratelimit-max']) || quota.burstLimit;
+    quota.burstRemaining = parseInt(headers['x-ratelimit-remaining']);
+    quota.dailyLimit = parseInt(headers['x-ratelimit-limit-daily']) || quota.dailyLimit;
+    quota.dailyRemaining = parseInt(headers['x-ratelimit-daily-remaining']);
+    quota.updatedAt = new Date().toISOString();
+  }
+  
+  async function acquireSlot() {
+    for (;;) {
+      const now = Date.now();
+      
+      if (now - dailyWindowStart >= 24 * 60 * 60 * 1000) {
+        dailyWindowStart = now;
+        dailyCount = 0;
+        quota.dailyRemaining = null;
+        quota.burstRemaining = null;
+      }
+      
+      const probeDue = quota.dailyRemaining === 0 && now - Date.parse(quota.updatedAt) >= HIGHLEVEL_DAILY_RECHECK_MS;
+      if (probeDue) quota.updatedAt = new Date(now).toISOString();
+      
+      if (dailyCount >= quota.dailyLimit || (quota.dailyRemaining === 0 && !probeDue)) {
+        throw new Error('HighLevel daily API limit reached');
+      }
+      
+      while (recentRequests.length > 0 && now - recentRequests[0] >= HIGHLEVEL_BURST_WINDOW_MS) {
+        recentRequests.shift();
+      }
+      
+      const serverSaysWait = quota.burstRemaining === 0 && recentRequests.length > 0;
+      
+      if (recentRequests.length < quota.burstLimit && !serverSaysWait) {
+        recentRequests.push(now);
+        dailyCount++;
+        return;
+      }
+      
+      await sleep(HIGHLEVEL_BURST_WINDOW_MS - (now - recentRequests[0]) + 50);
+      quota.burstRemaining = null;
+    }
+  }
+  
+  async function request(method, url, { retry, ...config } = {}) {
+    let tokenRefreshed = false;
+    
+    for (let attempt = 0; ; attempt++) {
+      await acquireSlot();
+      
+      try {
+        const response = await axios({
+          ...config,
+          method,
+          url: url.startsWith('http') ? url : `${HIGHLEVEL_BASE_URL}${url}`,
+          headers: {
+            Authorization: `Bearer ${await getAccessToken()}`,
+            Version: HIGHLEVEL_API_VERSION,
+            ...config.headers,
+          },
+        });
+        
+        recordQuota(response.headers);
+        return response;
+      } catch (error) {
+        recordQuota(error.response?.headers);
+        
+        // A token revoked or expired early gets one refresh before giving up
+        if (error.response?.status === 401 && refreshAccessToken && !tokenRefreshed) {
+          tokenRefreshed = true;
+          await refreshAccessToken();
+          continue;
+        }
+        
+        if (!isRetryableError(error, method, retry) || attempt >= HIGHLEVEL_MAX_RETRIES) throw error;
+        
+        const delay = parseRetryAfter(error.response?.headers)
+          ?? Math.min(1000 * 2 ** attempt, 30000) + Math.floor(Math.random() * 250);
+        
+        console.warn(`HighLevel ${method.toUpperCase()} ${url} failed (${error.response?.status || error.code}), retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+  
+  return {
+    locationId,
+    request,
+    get: (url, config) => request('get', url, config),
+    post: (url, data, config) => request('post', url, { ...config, data }),
+    put: (url, data, config) => request('put', url, { ...config, data }),
+    delete: (url, config) => request('delete', url, config),
+    getQuota: () => ({ ...quota, localRequestsToday: dailyCount }),
+  };
+}
+
+function toContactCacheRow(contact, locationId) {
+  return {
+    contact_id: contact.id,
+    location_id: locationId,
+    full_name: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
+    email: contact.email,
+    phone: contact.phone,
+    tags: contact.tags,
+    last_synced: new Date().toISOString(),
+  };
+}
+
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_KEY
 );
 
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+const execFileAsync = promisify(execFile);
+
+const HIGHLEVEL_CLIENT_ID = process.env.HIGHLEVEL_CLIENT_ID;
+const HIGHLEVEL_CLIENT_SECRET = process.env.HIGHLEVEL_CLIENT_SECRET;
+const HIGHLEVEL_OAUTH_REDIRECT_URI = process.env.HIGHLEVEL_OAUTH_REDIRECT_URI;
+const HIGHLEVEL_OAUTH_SCOPES = process.env.HIGHLEVEL_OAUTH_SCOPES
+  || 'contacts.readonly contacts.write conversations.readonly conversations/message.readonly opportunities.readonly locations.readonly';
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const OAUTH_STATE_SECRET = process.env.HIGHLEVEL_OAUTH_STATE_SECRET || HIGHLEVEL_CLIENT_SECRET;
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+const OAUTH_STATE_COOKIE = 'hl_oauth_state';
+
+const usedOAuthNonces = new Map();
+
+function signOAuthState(payload) {
+  return crypto.createHmac('sha256', OAUTH_STATE_SECRET).update(payload).digest('base64url');
+}
+
+// The state is "<timestamp>.<nonce>.<hmac>", so the callback needs no server-side session
+function createOAuthState() {
+  const payload = `${Date.now()}.${crypto.randomBytes(16).toString('base64url')}`;
+  return `${payload}.${signOAuthState(payload)}`;
+}
+
+function verifyOAuthState(state) {
+  const [timestamp, nonce, signature] = String(state || '').split('.');
+  if (!timestamp || !nonce || !signature) return false;
+  
+  const expected = Buffer.from(signOAuthState(`${timestamp}.${nonce}`));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return false;
+  
+  const now = Date.now();
+  if (now - parseInt(timestamp) > OAUTH_STATE_TTL_MS) return false;
+  
+  for (const [usedNonce, usedAt] of usedOAuthNonces) {
+    if (now - usedAt > OAUTH_STATE_TTL_MS) usedOAuthNonces.delete(usedNonce);
+  }
+  
+  if (usedOAuthNonces.has(nonce)) return false;
+  usedOAuthNonces.set(nonce, now);
+  
+  return true;
+}
+
+function readCookie(req, name) {
+  const match = (req.headers.cookie || '').match(new RegExp(`(?:^|;\\s*)${name}=([^;]*)`));
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+async function requestOAuthToken(params) {
+  const response = await axios.post(
+    `${HIGHLEVEL_BASE_URL}/oauth/token`,
+    new URLSearchParams({
+      client_id: HIGHLEVEL_CLIENT_ID,
+      client_secret: HIGHLEVEL_CLIENT_SECRET,
+      user_type: 'Location',
+      ...params,
+    }),
+    {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    }
+  );
+  
+  return response.data;
+}
+
+function toTokenColumns(tokenData) {
+  return {
+    access_token: tokenData.access_token,
+    refresh_token: tokenData.refresh_token,
+    token_expires_at: new Date(Date.now() + tokenData.expires_in * 1000).toISOString(),
+    scopes: tokenData.scope,
+  };
+}
+
+// HighLevel refresh tokens are single use, so concurrent requests share one refresh. Other
+// processes (e.g. `npm run mcp`) refresh the same location, so the `locations` row is the
+// source of truth: a newer token found there is adopted instead of spending ours.
+function createOAuthTokenProvider(location) {
+  let accessToken = location.access_token;
+  let refreshToken = location.refresh_token;
+  let expiresAt = new Date(location.token_expires_at).getTime();
+  let refreshing = null;
+  let unsavedColumns = null;
+  
+  function adoptTokens(row) {
+    accessToken = row.access_token;
+    refreshToken = row.refresh_token;
+    expiresAt = new Date(row.token_expires_at).getTime();
+  }
+  
+  // Returns true when another process has stored a newer token than ours
+  async function adoptStoredTokens() {
+    const { data: stored, error } = await supabase
+      .from('locations')
+      .select('access_token, refresh_token, token_expires_at')
+      .eq('location_id', location.location_id)
+      .maybeSingle();
+    
+    if (error) throw error;
+    if (!stored?.refresh_token || stored.refresh_token === refreshToken) return false;
+    
+    adoptTokens(stored);
+    return true;
+  }
+  
+  // Until a refreshed token is saved, the row still holds the spent one and must not be adopted
+  async function saveTokens(columns) {
+    let saveError;
+    
+    for (let attempt = 0; attempt < 3; attempt++) {
+      ({ error: saveError } = await supabase
+        .from('locations')
+        .update(columns)
+        .eq('location_id', location.location_id));
+      
+      if (!saveError) {
+        unsavedColumns = null;
+        return;
+      }
+      
+      await sleep(500 * 2 ** attempt);
+    }
+    
+    unsavedColumns = columns;
+    throw new Error(`Error saving refreshed token for location ${location.location_id}: ${saveError.message}`);
+  }
+  
+  async function refresh() {
+    if (!refreshing) {
+      refreshing = (async () => {
+        if (unsavedColumns) await saveTokens(unsavedColumns);
+        
+        if (await adoptStoredTokens() && Date.now() < expiresAt - TOKEN_REFRESH_MARGIN_MS) return;
+        
+        console.log(`Refreshing HighLevel token for location ${location.location_id}`);
+        
+        let tokenData;
+        try {
+          tokenData = await requestOAuthToken({
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken,
+          });
+        } catch (error) {
+          // Losing the race to another process leaves its token in the table
+          if (await adoptStoredTokens()) return;
+          throw error;
+        }
+        
+        // The old refresh token is spent, so the new one is kept even if saving it fails
+        const columns = toTokenColumns(tokenData);
+        adoptTokens(columns);
+        await saveTokens(columns);
+      })().finally(() => {
+        refreshing = null;
+      });
+    }
+    
+    return refreshing;
+  }
+  
+  return {
+    getAccessToken: async () => {
+      if (Date.now() >= expiresAt - TOKEN_REFRESH_MARGIN_MS) await refresh();
+      return accessToken;
+    },
+    refreshAccessToken: refresh,
+  };
+}
+
+const locationContexts = new Map();
+
+// Locations come from the `locations` table, either installed through the marketplace OAuth
+// flow or registered with a private API key. HIGHLEVEL_API_KEY/HIGHLEVEL_LOCATION_ID remain
+// an implicit default location.
+async function getLocationContext(locationId) {
+  if (locationContexts.has(locationId)) return locationContexts.get(locationId);
+  
+  const { data: location, error } = await supabase
+    .from('locations')
+    .select('*')
+    .eq('location_id', locationId)
+    .eq('is_active', true)
+    .maybeSingle();
+  
+  const isDefault = locationId === HIGHLEVEL_LOCATION_ID && HIGHLEVEL_API_KEY;
+  
+  if (error && !isDefault) throw error;
+  
+  let name;
+  let auth;
+  
+  if (location?.refresh_token) {
+    name = location.name;
+    auth = createOAuthTokenProvider(location);
+  } else if (location?.api_key) {
+    name = location.name;
+    auth = { getAccessToken: async () => location.api_key };
+  } else if (isDefault) {
+    name = 'default';
+    auth = { getAccessToken: async () => HIGHLEVEL_API_KEY };
+  } else {
+    return null;
+  }
+  
+  const context = {
+    locationId,
+    name,
+    highlevel: createHighLevelClient({ locationId, ...auth }),
+  };
+  
+  locationContexts.set(locationId, context);
+  return context;
+}
+
+const LEGACY_LOCATION_TABLES = ['prompts', 'analyses', 'contacts_cache', 'opportunities_cache'];
+
+// Rows written before multi-location support have no location_id and belong to the default
+// location (see supabase/migrations)
+async function backfillDefaultLocation() {
+  if (!HIGHLEVEL_LOCATION_ID) return;
+  
+  for (const table of LEGACY_LOCATION_TABLES) {
+    const { data, error } = await supabase
+      .from(table)
+      .update({ location_id: HIGHLEVEL_LOCATION_ID })
+      .is('location_id', null)
+      .select('location_id');
+    
+    if (error) {
+      console.error(`Error backfilling ${table}.location_id:`, error.message);
+    } else if (data.length > 0) {
+      console.log(`Assigned ${data.length} ${table} rows to location ${HIGHLEVEL_LOCATION_ID}`);
+    }
+  }
+}
+
+async function resolveLocation(req, res, next) {
+  try {
+    const locationId = req.params.locationId || req.get('X-Location-Id') || HIGHLEVEL_LOCATION_ID;
+    
+    if (!locationId) {
+      return res.status(400).json({
+        success: false,
+        error: 'locationId is required. Use /api/locations/:locationId/... or the X-Location-Id header'
+      });
+    }
+    
+    const location = await getLocationContext(locationId);
+    
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        error: `Location ${locationId} is not registered`
+      });
+    }
+    
+    req.location = location;
+    next();
+  } catch (error) {
+    console.error('Error resolving location:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+// Routes registered on `api` are served both under /api (default location or X-Location-Id)
+// and under /api/locations/:locationId
+const api = express.Router({ mergeParams: true });
+
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok',
@@ -55,83 +542,163 @@ app.get('/health', (req, res) => {
       'full-contact-analysis',
       'persistent-storage',
       'setter-closer-prompts',
-      'pipeline-filtering-optimized'
-    ]
+      'pipeline-filtering-optimized',
+      'structured-analysis-output',
+      'analysis-job-queue',
+      'bulk-pipeline-analysis',
+      'transcription-cache',
+      'call-speaker-turns',
+      'long-recording-chunking',
+      'pluggable-transcription-providers',
+      'message-pagination',
+      'highlevel-webhooks',
+      'contacts-backfill',
+      'highlevel-rate-limiting',
+      'multi-location',
+      'highlevel-oauth',
+      'supabase-auth-roles',
+      'highlevel-writeback',
+      'chat-streaming',
+      'parallel-tool-calls',
+      'chat-sessions',
+      'mcp-data-tools',
+      'mcp-server',
+      'prompt-evaluation',
+      'analysis-snapshots',
+      'prompt-templates',
+      'managed-prompt-types',
+      'prompt-version-diff'
+    ],
   });
 });
 
-app.get('/api/contacts', async (req, res) => {
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const ROLE_LEVELS = { viewer: 1, auditor: 2, admin: 3 };
+const AUTH_CACHE_MS = 60 * 1000;
+const authCache = new Map();
+
+// Tokens are Supabase access tokens from the dashboard login. The role lives in
+// app_metadata.role, which only the service key can write.
+async function getAuthUser(token) {
+  const cached = authCache.get(token);
+  if (cached && cached.expiresAt > Date.now()) return cached.user;
+  
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user) return null;
+  
+  const role = data.user.app_metadata?.role;
+  const user = {
+    id: data.user.id,
+    email: data.user.email,
+    role: ROLE_LEVELS[role] ? role : null,
+  };
+  
+  for (const [key, entry] of authCache) {
+    if (entry.expiresAt <= Date.now()) authCache.delete(key);
+  }
+  authCache.set(token, { user, expiresAt: Date.now() + AUTH_CACHE_MS });
+  
+  return user;
+}
+
+async function authenticate(req, res, next) {
+  if (AUTH_DISABLED) {
+    req.user = null;
+    return next();
+  }
+  
+  const token = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+  
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authorization header with a Supabase access token is required'
+    });
+  }
+  
   try {
-    const { limit = 100, query, refresh = false } = req.query;
+    const user = await getAuthUser(token);
     
-    const { count } = await supabase
-      .from('contacts_cache')
-      .select('*', { count: 'exact', head: true });
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
     
-    if (refresh === 'true' || count === 0) {
-      const params = {
-        locationId: HIGHLEVEL_LOCATION_ID,
-        limit: parseInt(limit),
-      };
-      
-      if (query) params.query = query;
-      
-      const response = await axios.get(
-        'https://services.leadconnectorhq.com/contacts/',
-        {
-          headers: {
-            Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-            Version: '2021-07-28',
-          },
-          params,
-        }
-      );
-      
-      const contactsToCache = response.data.contacts.map(contact => ({
-        contact_id: contact.id,
-        full_name: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
-        email: contact.email,
-        phone: contact.phone,
-        tags: contact.tags,
-        last_synced: new Date().toISOString(),
-      }));
-      
-      if (contactsToCache.length > 0) {
-        await supabase
-          .from('contacts_cache')
-          .upsert(contactsToCache, { onConflict: 'contact_id' });
-      }
+    if (!user.role) {
+      return res.status(403).json({
+        success: false,
+        error: 'No role assigned to this user'
+      });
     }
     
-    let dbQuery = supabase
-      .from('contacts_cache')
-      .select('*')
-      .order('last_synced', { ascending: false });
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error verifying token:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+// Roles are cumulative: auditors can do everything viewers can, admins everything
+function requireRole(role) {
+  return (req, res, next) => {
+    if (AUTH_DISABLED || ROLE_LEVELS[req.user.role] >= ROLE_LEVELS[role]) return next();
     
-    if (query) {
-      dbQuery = dbQuery.or(`full_name.ilike.%${query}%,email.ilike.%${query}%,phone.ilike.%${query}%,contact_id.ilike.%${query}%`);
+    res.status(403).json({
+      success: false,
+      error: `This action requires the ${role} role`
+    });
+  };
+}
+
+// Webhooks are authenticated by their signature instead
+app.use('/api', (req, res, next) => {
+  if (req.path.startsWith('/webhooks/')) return next();
+  authenticate(req, res, next);
+});
+
+app.get('/api/me', (req, res) => {
+  res.json({
+    success: true,
+    user: req.user,
+    authDisabled: AUTH_DISABLED,
+  });
+});
+
+app.put('/api/users/:userId/role', requireRole('admin'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    
+    if (role !== null && !ROLE_LEVELS[role]) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${Object.keys(ROLE_LEVELS).join(', ')} (or null to revoke access)`
+      });
     }
     
-    const { data: contacts, error } = await dbQuery.limit(parseInt(limit));
+    const { data, error } = await supabase.auth.admin.updateUserById(req.params.userId, {
+      app_metadata: { role },
+    });
     
     if (error) throw error;
     
+    authCache.clear();
+    
     res.json({
       success: true,
-      contacts: contacts.map(c => ({
-        contactId: c.contact_id,
-        fullName: c.full_name,
-        email: c.email,
-        phone: c.phone,
-        tags: c.tags,
-        lastSynced: c.last_synced,
-        hasAnalysis: c.has_analysis,
-      })),
-      total: contacts.length,
-      cached: refresh !== 'true'
+      user: {
+        id: data.user.id,
+        email: data.user.email,
+        role,
+      },
     });
   } catch (error) {
-    console.error('Error getting contacts:', error.message);
+    console.error('Error updating user role:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -139,37 +706,28 @@ app.get('/api/contacts', async (req, res) => {
   }
 });
 
-app.get('/api/contacts/:contactId', async (req, res) => {
+app.get('/api/locations', async (req, res) => {
   try {
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/contacts/${req.params.contactId}`,
-      {
-        headers: {
-          Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-          Version: '2021-07-28',
-        },
-      }
-    );
+    const { data: locations, error } = await supabase
+      .from('locations')
+      .select('location_id, name, is_active, auth_type, created_at')
+      .order('created_at', { ascending: true });
     
-    const contact = response.data.contact;
+    if (error) throw error;
     
     res.json({
       success: true,
-      contact: {
-        id: contact.id,
-        fullName: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
-        firstName: contact.firstName,
-        lastName: contact.lastName,
-        email: contact.email,
-        phone: contact.phone,
-        tags: contact.tags,
-        customFields: contact.customFields,
-        source: contact.source,
-        dateAdded: contact.dateAdded,
-      }
+      locations: locations.map(l => ({
+        locationId: l.location_id,
+        name: l.name,
+        isActive: l.is_active,
+        authType: l.auth_type || 'api_key',
+        createdAt: l.created_at,
+      })),
+      defaultLocationId: HIGHLEVEL_LOCATION_ID || null,
     });
   } catch (error) {
-    console.error('Error getting contact:', error.message);
+    console.error('Error getting locations:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -177,32 +735,44 @@ app.get('/api/contacts/:contactId', async (req, res) => {
   }
 });
 
-app.get('/api/contacts/:contactId/conversations', async (req, res) => {
+app.post('/api/locations', requireRole('admin'), async (req, res) => {
   try {
-    const { limit = 50 } = req.query;
+    const { locationId, name, apiKey } = req.body;
     
-    const response = await axios.get(
-      'https://services.leadconnectorhq.com/conversations/search',
-      {
-        headers: {
-          Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-          Version: '2021-07-28',
-        },
-        params: {
-          locationId: HIGHLEVEL_LOCATION_ID,
-          contactId: req.params.contactId,
-          limit: parseInt(limit),
-        },
-      }
-    );
+    if (!locationId || !apiKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'locationId and apiKey are required'
+      });
+    }
+    
+    const { data: location, error } = await supabase
+      .from('locations')
+      .upsert({
+        location_id: locationId,
+        name: name || locationId,
+        api_key: apiKey,
+        auth_type: 'api_key',
+        is_active: true,
+      }, { onConflict: 'location_id' })
+      .select('location_id, name, is_active, created_at')
+      .single();
+    
+    if (error) throw error;
+    
+    locationContexts.delete(locationId);
     
     res.json({
       success: true,
-      conversations: response.data.conversations || [],
-      total: response.data.conversations?.length || 0,
+      location: {
+        locationId: location.location_id,
+        name: location.name,
+        isActive: location.is_active,
+        createdAt: location.created_at,
+      },
     });
   } catch (error) {
-    console.error('Error getting conversations:', error.message);
+    console.error('Error saving location:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -210,30 +780,23 @@ app.get('/api/contacts/:contactId/conversations', async (req, res) => {
   }
 });
 
-app.get('/api/conversations/:conversationId/messages', async (req, res) => {
+app.delete('/api/locations/:locationId', requireRole('admin'), async (req, res) => {
   try {
-    const { limit = 100 } = req.query;
+    const { error } = await supabase
+      .from('locations')
+      .update({ is_active: false })
+      .eq('location_id', req.params.locationId);
     
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/conversations/${req.params.conversationId}/messages`,
-      {
-        headers: {
-          Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-          Version: '2021-07-28',
-        },
-        params: {
-          limit: parseInt(limit),
-        },
-      }
-    );
+    if (error) throw error;
+    
+    locationContexts.delete(req.params.locationId);
     
     res.json({
       success: true,
-      messages: response.data.messages || [],
-      total: response.data.messages?.length || 0,
+      message: `Location ${req.params.locationId} deactivated`
     });
   } catch (error) {
-    console.error('Error getting messages:', error.message);
+    console.error('Error deactivating location:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -241,431 +804,4148 @@ app.get('/api/conversations/:conversationId/messages', async (req, res) => {
   }
 });
 
-app.get('/api/pipelines', async (req, res) => {
+app.get('/oauth/install', (req, res) => {
+  if (!HIGHLEVEL_CLIENT_ID || !OAUTH_STATE_SECRET || !HIGHLEVEL_OAUTH_REDIRECT_URI) {
+    return res.status(500).json({
+      success: false,
+      error: 'HIGHLEVEL_CLIENT_ID, HIGHLEVEL_CLIENT_SECRET and HIGHLEVEL_OAUTH_REDIRECT_URI must be configured'
+    });
+  }
+  
+  const state = createOAuthState();
+  
+  const params = new URLSearchParams({
+    response_type: 'code',
+    redirect_uri: HIGHLEVEL_OAUTH_REDIRECT_URI,
+    client_id: HIGHLEVEL_CLIENT_ID,
+    scope: HIGHLEVEL_OAUTH_SCOPES,
+    state,
+  });
+  
+  // The cookie marks this browser as having started here, so its callback must carry the state
+  res.cookie(OAUTH_STATE_COOKIE, state, {
+    httpOnly: true,
+    secure: HIGHLEVEL_OAUTH_REDIRECT_URI.startsWith('https:'),
+    sameSite: 'lax',
+    maxAge: OAUTH_STATE_TTL_MS,
+  });
+  
+  res.redirect(`https://marketplace.gohighlevel.com/oauth/chooselocation?${params}`);
+});
+
+app.get('/oauth/callback', async (req, res) => {
   try {
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/opportunities/pipelines`,
-      {
-        headers: {
-          Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-          Version: '2021-07-28',
-        },
-        params: {
-          locationId: HIGHLEVEL_LOCATION_ID,
-        },
+    const { code } = req.query;
+    
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: req.query.error || 'code is required'
+      });
+    }
+    
+    // Installs from the Marketplace listing come back with only a code. Installs started at
+    // /oauth/install (state cookie set) or carrying a state must present a valid one.
+    const expectedState = readCookie(req, OAUTH_STATE_COOKIE);
+    res.clearCookie(OAUTH_STATE_COOKIE);
+    
+    if (expectedState || req.query.state) {
+      const stateValid = OAUTH_STATE_SECRET
+        && (!expectedState || req.query.state === expectedState)
+        && verifyOAuthState(req.query.state);
+      
+      if (!stateValid) {
+        console.warn('Rejected HighLevel OAuth callback with invalid state');
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid or expired OAuth state'
+        });
       }
-    );
+    }
+    
+    const tokenData = await requestOAuthToken({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: HIGHLEVEL_OAUTH_REDIRECT_URI,
+    });
+    
+    const locationId = tokenData.locationId;
+    
+    if (!locationId) {
+      return res.status(400).json({
+        success: false,
+        error: 'The app must be installed on a sub-account, not an agency'
+      });
+    }
+    
+    const { data: location, error } = await supabase
+      .from('locations')
+      .upsert({
+        location_id: locationId,
+        company_id: tokenData.companyId,
+        auth_type: 'oauth',
+        ...toTokenColumns(tokenData),
+        is_active: true,
+      }, { onConflict: 'location_id' })
+      .select('location_id, name, is_active, created_at')
+      .single();
+    
+    if (error) throw error;
+    
+    locationContexts.delete(locationId);
+    
+    // Fill in the sub-account name on first install
+    if (!location.name) {
+      try {
+        const context = await getLocationContext(locationId);
+        const response = await context.highlevel.get(`/locations/${locationId}`);
+        const name = response.data.location?.name || locationId;
+        
+        await supabase.from('locations').update({ name }).eq('location_id', locationId);
+        context.name = name;
+        location.name = name;
+      } catch (nameError) {
+        console.error('Error fetching location name:', nameError.message);
+      }
+    }
+    
+    console.log(`HighLevel app installed on location ${locationId}`);
+    
+    if (process.env.HIGHLEVEL_OAUTH_SUCCESS_URL) {
+      return res.redirect(`${process.env.HIGHLEVEL_OAUTH_SUCCESS_URL}?locationId=${encodeURIComponent(locationId)}`);
+    }
     
     res.json({
       success: true,
-      pipelines: response.data.pipelines || [],
+      location: {
+        locationId: location.location_id,
+        name: location.name,
+        isActive: location.is_active,
+        authType: 'oauth',
+        createdAt: location.created_at,
+      },
     });
   } catch (error) {
-    console.error('Error getting pipelines:', error.message);
+    console.error('OAuth callback error:', error.response?.data || error.message);
     res.status(500).json({
       success: false,
-      error: error.message,
-      details: error.response?.data || null,
+      error: error.response?.data?.error_description || error.message,
     });
   }
 });
 
-app.get('/api/opportunities', async (req, res) => {
+api.get('/highlevel/quota', (req, res) => {
+  res.json({
+    success: true,
+    locationId: req.location.locationId,
+    quota: req.location.highlevel.getQuota(),
+  });
+});
+
+api.get('/contacts', async (req, res) => {
   try {
-    const { 
-      pipelineId, 
-      pipelineStageId,
-      status,
-      limit = 100,
-      refresh = 'false',
-    } = req.query;
+    const { locationId, highlevel } = req.location;
+    const { limit = 100, query, refresh = false } = req.query;
     
-    console.log('Getting opportunities with filters:', { pipelineId, pipelineStageId, status, limit, refresh });
+    const { count } = await supabase
+      .from('contacts_cache')
+      .select('*', { count: 'exact', head: true })
+      .eq('location_id', locationId);
     
-    // Check cache first (unless refresh is requested)
-    if (refresh !== 'true') {
-      console.log('Checking cache...');
+    if (refresh === 'true' || count === 0) {
+      const params = {
+        locationId,
+        limit: parseInt(limit),
+      };
       
-      let cacheQuery = supabase
-        .from('opportunities_cache')
-        .select('*')
-        .order('last_synced', { ascending: false });
+      if (query) params.query = query;
       
-      if (pipelineId && pipelineId !== 'all') {
-        cacheQuery = cacheQuery.eq('pipeline_id', pipelineId);
-      }
+      const response = await highlevel.get('/contacts/', { params });
       
-      if (pipelineStageId && pipelineStageId !== 'all') {
-        cacheQuery = cacheQuery.eq('pipeline_stage_id', pipelineStageId);
+      const contactsToCache = response.data.contacts.map(contact => toContactCacheRow(contact, locationId));
+      
+      if (contactsToCache.length > 0) {
+        await supabase
+          .from('contacts_cache')
+          .upsert(contactsToCache, { onConflict: 'contact_id' });
       }
+    }
+    
+    let dbQuery = supabase
+      .from('contacts_cache')
+      .select('*')
+      .eq('location_id', locationId)
+      .order('last_synced', { ascending: false });
+    
+    if (query) {
+      dbQuery = dbQuery.or(`full_name.ilike.%${query}%,email.ilike.%${query}%,phone.ilike.%${query}%,contact_id.ilike.%${query}%`);
+    }
+    
+    const { data: contacts, error } = await dbQuery.limit(parseInt(limit));
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      contacts: contacts.map(c => ({
+        contactId: c.contact_id,
+        fullName: c.full_name,
+        email: c.email,
+        phone: c.phone,
+        tags: c.tags,
+        lastSynced: c.last_synced,
+        hasAnalysis: c.has_analysis,
+        analysisStale: c.analysis_stale,
+      })),
+      total: contacts.length,
+      cached: refresh !== 'true'
+    });
+  } catch (error) {
+    console.error('Error getting contacts:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+const BACKFILL_PAGE_SIZE = 100;
+const BACKFILL_PAGE_DELAY_MS = parseInt(process.env.BACKFILL_PAGE_DELAY_MS || '500');
+
+const runningSyncJobs = new Map();
+
+function formatSyncJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    processed: job.processed,
+    total: job.total,
+    pages: job.pages,
+    cursor: job.cursor,
+    error: job.error,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    finishedAt: job.finished_at,
+  };
+}
+
+async function updateSyncJob(jobId, fields) {
+  const { data, error } = await supabase
+    .from('sync_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', jobId)
+    .select()
+    .single();
+  
+  if (error) throw error;
+  return data;
+}
+
+async function fetchContactsPage(location, cursor) {
+  const params = {
+    locationId: location.locationId,
+    limit: BACKFILL_PAGE_SIZE,
+  };
+  
+  if (cursor?.startAfterId) {
+    params.startAfterId = cursor.startAfterId;
+    params.startAfter = cursor.startAfter;
+  }
+  
+  const response = await location.highlevel.get('/contacts/', { params });
+  
+  return response.data;
+}
+
+async function runContactsBackfill(job) {
+  if (runningSyncJobs.has(job.id)) return;
+  
+  const control = { paused: false, locationId: job.location_id };
+  runningSyncJobs.set(job.id, control);
+  
+  console.log(`Running contacts backfill ${job.id} for location ${job.location_id} from cursor ${JSON.stringify(job.cursor)}`);
+  
+  try {
+    const location = await getLocationContext(job.location_id);
+    if (!location) throw new Error(`Location ${job.location_id} is not registered`);
+    
+    let { cursor, processed = 0, pages = 0 } = job;
+    
+    while (!control.paused) {
+      const data = await fetchContactsPage(location, cursor);
+      const contacts = data.contacts || [];
       
-      if (status && status !== 'all') {
-        cacheQuery = cacheQuery.eq('status', status);
+      if (contacts.length > 0) {
+        const { error } = await supabase
+          .from('contacts_cache')
+          .upsert(
+            contacts.map(contact => toContactCacheRow(contact, location.locationId)),
+            { onConflict: 'contact_id' }
+          );
+        
+        if (error) throw error;
       }
       
-      const { data: cachedOpps, error: cacheError } = await cacheQuery.limit(parseInt(limit));
+      processed += contacts.length;
+      pages++;
       
-      if (!cacheError && cachedOpps && cachedOpps.length > 0) {
-        console.log(`Returning ${cachedOpps.length} opportunities from cache`);
-        
-        return res.json({
-          success: true,
-          opportunities: cachedOpps.map(opp => ({
-            id: opp.opportunity_id,
-            name: opp.name,
-            pipelineId: opp.pipeline_id,
-            pipelineName: opp.pipeline_name,
-            pipelineStageId: opp.pipeline_stage_id,
-            status: opp.status,
-            monetaryValue: opp.monetary_value,
-            contact: {
-              id: opp.contact_id,
-              name: opp.contact_name,
-              email: opp.contact_email,
-              phone: opp.contact_phone,
-            },
-            hasAnalysis: opp.has_analysis,
-            createdAt: opp.data?.createdAt,
-            lastStatusChangeAt: opp.data?.lastStatusChangeAt,
-          })),
-          total: cachedOpps.length,
-          returned: cachedOpps.length,
-          cached: true,
-          lastSync: cachedOpps[0]?.last_synced,
+      const hasMore = contacts.length === BACKFILL_PAGE_SIZE && data.meta?.startAfterId;
+      cursor = hasMore
+        ? { startAfterId: data.meta.startAfterId, startAfter: data.meta.startAfter }
+        : cursor;
+      
+      await updateSyncJob(job.id, {
+        cursor,
+        processed,
+        pages,
+        total: data.meta?.total ?? job.total,
+      });
+      
+      console.log(`Backfill ${job.id}: ${processed}/${data.meta?.total ?? '?'} contacts`);
+      
+      if (!hasMore) {
+        await updateSyncJob(job.id, {
+          status: 'completed',
+          finished_at: new Date().toISOString(),
         });
+        console.log(`Contacts backfill ${job.id} completed`);
+        return;
       }
       
-      console.log('No cache found or cache empty, fetching from HighLevel...');
-    } else {
-      console.log('Refresh requested, bypassing cache...');
+      await sleep(BACKFILL_PAGE_DELAY_MS);
     }
     
-    // Fetch from HighLevel (same as before)
-    const pipelinesResponse = await axios.get(
-      `https://services.leadconnectorhq.com/opportunities/pipelines`,
-      {
-        headers: {
-          Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-          Version: '2021-07-28',
-        },
-        params: {
-          locationId: HIGHLEVEL_LOCATION_ID,
-        },
-      }
-    );
+    await updateSyncJob(job.id, { status: 'paused' });
+    console.log(`Contacts backfill ${job.id} paused`);
+  } catch (error) {
+    console.error(`Contacts backfill ${job.id} failed:`, error.message);
     
-    const pipelines = pipelinesResponse.data.pipelines || [];
-    console.log(`Found ${pipelines.length} pipelines`);
+    await updateSyncJob(job.id, {
+      status: 'failed',
+      error: error.message,
+      finished_at: new Date().toISOString(),
+    }).catch(() => {});
+  } finally {
+    runningSyncJobs.delete(job.id);
+  }
+}
+
+async function resumeSyncJobs() {
+  const { data: jobs, error } = await supabase
+    .from('sync_jobs')
+    .select('*')
+    .eq('status', 'running');
+  
+  if (error) {
+    console.error('Error resuming sync jobs:', error.message);
+    return;
+  }
+  
+  for (const job of jobs || []) {
+    console.log(`Resuming sync job ${job.id}`);
+    runContactsBackfill(job);
+  }
+}
+
+api.post('/sync/contacts', requireRole('admin'), async (req, res) => {
+  try {
+    const { locationId } = req.location;
     
-    if (pipelines.length === 0) {
-      return res.json({
-        success: true,
-        opportunities: [],
-        total: 0,
-        message: 'No pipelines found',
-        cached: false,
-      });
-    }
+    const { data: running, error: runningError } = await supabase
+      .from('sync_jobs')
+      .select('*')
+      .eq('location_id', locationId)
+      .eq('type', 'contacts_backfill')
+      .in('status', ['running', 'paused'])
+      .limit(1)
+      .maybeSingle();
+    
+    if (runningError) throw runningError;
+    
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        error: `A contacts backfill is already ${running.status}. Resume or wait for it to finish.`,
+        job: formatSyncJob(running),
+      });
+    }
+    
+    const { data: job, error } = await supabase
+      .from('sync_jobs')
+      .insert({
+        location_id: locationId,
+        type: 'contacts_backfill',
+        status: 'running',
+        cursor: null,
+        processed: 0,
+        pages: 0,
+      })
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    runContactsBackfill(job);
+    
+    res.status(202).json({
+      success: true,
+      job: formatSyncJob(job),
+      message: `Backfill started. Poll /api/locations/${locationId}/sync/jobs/${job.id} for progress.`
+    });
+  } catch (error) {
+    console.error('Error starting contacts backfill:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.get('/sync/jobs', async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+    
+    const { data: jobs, error } = await supabase
+      .from('sync_jobs')
+      .select('*')
+      .eq('location_id', req.location.locationId)
+      .order('created_at', { ascending: false })
+      .limit(parseInt(limit));
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      jobs: jobs.map(formatSyncJob),
+      total: jobs.length,
+    });
+  } catch (error) {
+    console.error('Error getting sync jobs:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.get('/sync/jobs/:id', async (req, res) => {
+  try {
+    const { data: job, error } = await supabase
+      .from('sync_jobs')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('location_id', req.location.locationId)
+      .maybeSingle();
+    
+    if (error) throw error;
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sync job not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      job: formatSyncJob(job),
+    });
+  } catch (error) {
+    console.error('Error getting sync job:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.post('/sync/jobs/:id/pause', requireRole('admin'), async (req, res) => {
+  const control = runningSyncJobs.get(req.params.id);
+  
+  if (!control || control.locationId !== req.location.locationId) {
+    return res.status(409).json({
+      success: false,
+      error: 'Sync job is not running'
+    });
+  }
+  
+  control.paused = true;
+  
+  res.json({
+    success: true,
+    message: 'Sync job will pause after the current page'
+  });
+});
+
+api.post('/sync/jobs/:id/resume', requireRole('admin'), async (req, res) => {
+  try {
+    const { data: job, error } = await supabase
+      .from('sync_jobs')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('location_id', req.location.locationId)
+      .maybeSingle();
+    
+    if (error) throw error;
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sync job not found'
+      });
+    }
+    
+    if (!['paused', 'failed'].includes(job.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Sync job is ${job.status}`
+      });
+    }
+    
+    const resumed = await updateSyncJob(job.id, {
+      status: 'running',
+      error: null,
+      finished_at: null,
+    });
+    
+    runContactsBackfill(resumed);
+    
+    res.json({
+      success: true,
+      job: formatSyncJob(resumed),
+    });
+  } catch (error) {
+    console.error('Error resuming sync job:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.get('/contacts/:contactId', async (req, res) => {
+  try {
+    const response = await req.location.highlevel.get(`/contacts/${req.params.contactId}`);
+    
+    const contact = response.data.contact;
+    
+    res.json({
+      success: true,
+      contact: {
+        id: contact.id,
+        fullName: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
+        firstName: contact.firstName,
+        lastName: contact.lastName,
+        email: contact.email,
+        phone: contact.phone,
+        tags: contact.tags,
+        customFields: contact.customFields,
+        source: contact.source,
+        dateAdded: contact.dateAdded,
+      }
+    });
+  } catch (error) {
+    console.error('Error getting contact:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.get('/contacts/:contactId/conversations', async (req, res) => {
+  try {
+    const { locationId, highlevel } = req.location;
+    const { limit = 50 } = req.query;
+    
+    const response = await highlevel.get(
+      '/conversations/search',
+      {
+        params: {
+          locationId,
+          contactId: req.params.contactId,
+          limit: parseInt(limit),
+        },
+      }
+    );
+    
+    res.json({
+      success: true,
+      conversations: response.data.conversations || [],
+      total: response.data.conversations?.length || 0,
+    });
+  } catch (error) {
+    console.error('Error getting conversations:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+const MAX_MESSAGE_PAGES = parseInt(process.env.MAX_MESSAGE_PAGES || '50');
+
+// HighLevel nests the page under `messages` and pages backwards from `lastMessageId`
+async function fetchMessagesPage(location, conversationId, { cursor, limit = 100 } = {}) {
+  const params = { limit: parseInt(limit) };
+  if (cursor) params.lastMessageId = cursor;
+  
+  const response = await location.highlevel.get(`/conversations/${conversationId}/messages`, { params });
+  
+  const page = response.data.messages || {};
+  const messages = page.messages || [];
+  
+  return {
+    page,
+    messages,
+    nextCursor: page.nextPage && page.lastMessageId ? page.lastMessageId : null,
+  };
+}
+
+// Pages come newest first, so paging stops as soon as a page is entirely older than dateFrom
+async function fetchAllMessages(location, conversationId, { dateFrom, dateTo } = {}) {
+  const from = dateFrom ? new Date(dateFrom) : null;
+  const to = dateTo ? new Date(dateTo) : null;
+  
+  const allMessages = [];
+  let cursor = null;
+  let pages = 0;
+  
+  do {
+    const page = await fetchMessagesPage(location, conversationId, { cursor, limit: 100 });
+    allMessages.push(...page.messages);
+    cursor = page.nextCursor;
+    pages++;
+    
+    if (from && page.messages.length > 0 && page.messages.every(msg => new Date(msg.dateAdded) < from)) {
+      break;
+    }
+  } while (cursor && pages < MAX_MESSAGE_PAGES);
+  
+  if (cursor && pages >= MAX_MESSAGE_PAGES) {
+    console.warn(`Conversation ${conversationId}: stopped after ${MAX_MESSAGE_PAGES} pages`);
+  }
+  
+  return allMessages.filter(msg => {
+    const date = new Date(msg.dateAdded);
+    if (from && date < from) return false;
+    if (to && date > to) return false;
+    return true;
+  });
+}
+
+api.get('/conversations/:conversationId/messages', async (req, res) => {
+  try {
+    const { limit = 100, cursor } = req.query;
+    
+    const { page, messages, nextCursor } = await fetchMessagesPage(req.location, req.params.conversationId, { cursor, limit });
+    
+    // `messages` keeps HighLevel's page object for existing clients; `items` is the flat list
+    res.json({
+      success: true,
+      messages: page,
+      items: messages,
+      total: messages.length,
+      nextCursor,
+    });
+  } catch (error) {
+    console.error('Error getting messages:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.get('/pipelines', async (req, res) => {
+  try {
+    const { locationId, highlevel } = req.location;
+    
+    const response = await highlevel.get(
+      `/opportunities/pipelines`,
+      {
+        params: {
+          locationId,
+        },
+      }
+    );
+    
+    res.json({
+      success: true,
+      pipelines: response.data.pipelines || [],
+    });
+  } catch (error) {
+    console.error('Error getting pipelines:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      details: error.response?.data || null,
+    });
+  }
+});
+
+api.get('/opportunities', async (req, res) => {
+  try {
+    const { locationId, highlevel } = req.location;
+    const { 
+      pipelineId, 
+      pipelineStageId,
+      status,
+      limit = 100,
+      refresh = 'false',
+    } = req.query;
+    
+    console.log('Getting opportunities with filters:', { pipelineId, pipelineStageId, status, limit, refresh });
+    
+    // Check cache first (unless refresh is requested)
+    if (refresh !== 'true') {
+      console.log('Checking cache...');
+      
+      let cacheQuery = supabase
+        .from('opportunities_cache')
+        .select('*')
+        .eq('location_id', locationId)
+        .order('last_synced', { ascending: false });
+      
+      if (pipelineId && pipelineId !== 'all') {
+        cacheQuery = cacheQuery.eq('pipeline_id', pipelineId);
+      }
+      
+      if (pipelineStageId && pipelineStageId !== 'all') {
+        cacheQuery = cacheQuery.eq('pipeline_stage_id', pipelineStageId);
+      }
+      
+      if (status && status !== 'all') {
+        cacheQuery = cacheQuery.eq('status', status);
+      }
+      
+      const { data: cachedOpps, error: cacheError } = await cacheQuery.limit(parseInt(limit));
+      
+      if (!cacheError && cachedOpps && cachedOpps.length > 0) {
+        console.log(`Returning ${cachedOpps.length} opportunities from cache`);
+        
+        return res.json({
+          success: true,
+          opportunities: cachedOpps.map(opp => ({
+            id: opp.opportunity_id,
+            name: opp.name,
+            pipelineId: opp.pipeline_id,
+            pipelineName: opp.pipeline_name,
+            pipelineStageId: opp.pipeline_stage_id,
+            status: opp.status,
+            monetaryValue: opp.monetary_value,
+            contact: {
+              id: opp.contact_id,
+              name: opp.contact_name,
+              email: opp.contact_email,
+              phone: opp.contact_phone,
+            },
+            hasAnalysis: opp.has_analysis,
+            analysisStale: opp.analysis_stale,
+            createdAt: opp.data?.createdAt,
+            lastStatusChangeAt: opp.data?.lastStatusChangeAt,
+          })),
+          total: cachedOpps.length,
+          returned: cachedOpps.length,
+          cached: true,
+          lastSync: cachedOpps[0]?.last_synced,
+        });
+      }
+      
+      console.log('No cache found or cache empty, fetching from HighLevel...');
+    } else {
+      console.log('Refresh requested, bypassing cache...');
+    }
+    
+    // Fetch from HighLevel (same as before)
+    const pipelinesResponse = await highlevel.get(
+      `/opportunities/pipelines`,
+      {
+        params: {
+          locationId,
+        },
+      }
+    );
+    
+    const pipelines = pipelinesResponse.data.pipelines || [];
+    console.log(`Found ${pipelines.length} pipelines`);
+    
+    if (pipelines.length === 0) {
+      return res.json({
+        success: true,
+        opportunities: [],
+        total: 0,
+        message: 'No pipelines found',
+        cached: false,
+      });
+    }
     
     let allOpportunities = [];
     
     try {
-      console.log('Fetching all opportunities with pagination...');
+      console.log('Fetching all opportunities with pagination...');
+
+      let hasMore = true;
+      let nextPageUrl = null;
+
+      while (hasMore && allOpportunities.length < 1000) {
+        const searchParams = {
+          location_id: locationId,
+          limit: 100,
+        };
+        
+        if (status && status !== 'all') {
+          searchParams.status = status;
+        }
+        
+        const url = nextPageUrl || '/opportunities/search';
+        
+        const response = await highlevel.get(url, {
+          params: nextPageUrl ? {} : searchParams,
+        });
+        
+        const opportunities = response.data.opportunities || [];
+        
+        if (opportunities.length === 0) break;
+        
+        allOpportunities.push(...opportunities);
+        
+        console.log(`Fetched ${opportunities.length} opportunities (total: ${allOpportunities.length})`);
+        
+        const currentUrl = url;
+        nextPageUrl = response.data.meta?.nextPageUrl || null;
+        hasMore = nextPageUrl !== null && nextPageUrl !== currentUrl;
+        
+        if (pipelineId && pipelineId !== 'all') {
+          const filtered = allOpportunities.filter(opp => opp.pipelineId === pipelineId);
+          if (filtered.length >= parseInt(limit) * 2) {
+            console.log('Early exit: found enough opportunities for pipeline');
+            break;
+          }
+        }
+      }
+
+      console.log(`Got ${allOpportunities.length} total opportunities`);
+
+      if (pipelineId && pipelineId !== 'all') {
+        allOpportunities = allOpportunities.filter(opp => opp.pipelineId === pipelineId);
+        console.log(`After pipeline filter: ${allOpportunities.length} opportunities`);
+      }
+
+      if (pipelineStageId && pipelineStageId !== 'all') {
+        allOpportunities = allOpportunities.filter(opp => opp.pipelineStageId === pipelineStageId);
+        console.log(`After stage filter: ${allOpportunities.length} opportunities`);
+      }
+      
+    } catch (searchError) {
+      console.error('Error fetching opportunities:', searchError.message);
+      
+      console.log('Trying pipeline-by-pipeline fallback...');
+      allOpportunities = [];
+      
+      for (const pipeline of pipelines) {
+        try {
+          const oppUrl = `/opportunities/pipelines/${pipeline.id}`;
+          
+          const oppResponse = await highlevel.get(oppUrl);
+          
+          const pipelineData = oppResponse.data.pipeline || oppResponse.data;
+          let opportunities = [];
+          
+          if (pipelineData.opportunities) {
+            opportunities = pipelineData.opportunities;
+          } else if (pipelineData.stages) {
+            pipelineData.stages.forEach(stage => {
+              if (stage.opportunities) {
+                opportunities.push(...stage.opportunities);
+              }
+            });
+          }
+          
+          opportunities = opportunities.map(opp => ({
+            ...opp,
+            pipelineName: pipeline.name,
+            pipelineId: pipeline.id,
+          }));
+          
+          allOpportunities.push(...opportunities);
+          
+        } catch (pipelineError) {
+          console.error(`Error getting opportunities for ${pipeline.name}:`, pipelineError.message);
+        }
+      }
+    }
+    
+    console.log(`Total opportunities found: ${allOpportunities.length}`);
+    
+    const limitedOpps = allOpportunities.slice(0, parseInt(limit));
+    
+    // Enrich with contact data
+    const enrichedOpportunities = [];
+    const batchSize = 10;
+    
+    for (let i = 0; i < limitedOpps.length; i += batchSize) {
+      const batch = limitedOpps.slice(i, i + batchSize);
+      
+      const batchResults = await Promise.all(
+        batch.map(async (opp) => {
+          try {
+            let contactData = opp.contact || {};
+            
+            if (!contactData.email || !contactData.phone) {
+              const contactId = opp.contactId || opp.contact?.id;
+              if (!contactId) {
+                throw new Error('No contact ID found');
+              }
+              
+              const contactResponse = await highlevel.get(`/contacts/${contactId}`);
+              
+              const contact = contactResponse.data.contact;
+              contactData = {
+                id: contact.id,
+                name: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
+                email: contact.email,
+                phone: contact.phone,
+              };
+            } else {
+              contactData = {
+                id: contactData.id,
+                name: contactData.name || `${contactData.firstName || ''} ${contactData.lastName || ''}`.trim(),
+                email: contactData.email,
+                phone: contactData.phone,
+              };
+            }
+            
+            const { data: analysis } = await supabase
+              .from('analyses')
+              .select('id')
+              .eq('location_id', locationId)
+              .eq('contact_id', contactData.id)
+              .limit(1)
+              .single();
+            
+            return {
+              id: opp.id,
+              name: opp.name || opp.title || 'Untitled',
+              pipelineId: opp.pipelineId,
+              pipelineName: opp.pipelineName || pipelines.find(p => p.id === opp.pipelineId)?.name,
+              pipelineStageId: opp.pipelineStageId || opp.stageId,
+              status: opp.status,
+              monetaryValue: opp.monetaryValue || opp.value,
+              assignedTo: opp.assignedTo,
+              contact: contactData,
+              hasAnalysis: !!analysis,
+              createdAt: opp.createdAt || opp.dateAdded,
+              lastStatusChangeAt: opp.lastStatusChangeAt || opp.lastUpdated,
+            };
+          } catch (err) {
+            console.error(`Error enriching opportunity ${opp.id}:`, err.message);
+            return {
+              id: opp.id,
+              name: opp.name || 'Unknown',
+              pipelineId: opp.pipelineId,
+              status: opp.status,
+              contact: {
+                id: opp.contactId || opp.contact?.id || 'unknown',
+                name: 'Unknown',
+                email: null,
+                phone: null,
+              },
+              hasAnalysis: false,
+            };
+          }
+        })
+      );
+      
+      enrichedOpportunities.push(...batchResults);
+    }
+    
+    // Save to cache
+    console.log('Saving to cache...');
+    const cacheData = enrichedOpportunities.map(opp => ({
+      opportunity_id: opp.id,
+      location_id: locationId,
+      pipeline_id: opp.pipelineId,
+      pipeline_name: opp.pipelineName,
+      contact_id: opp.contact.id,
+      contact_name: opp.contact.name,
+      contact_email: opp.contact.email,
+      contact_phone: opp.contact.phone,
+      name: opp.name,
+      status: opp.status,
+      monetary_value: opp.monetaryValue,
+      pipeline_stage_id: opp.pipelineStageId,
+      has_analysis: opp.hasAnalysis,
+      data: {
+        createdAt: opp.createdAt,
+        lastStatusChangeAt: opp.lastStatusChangeAt,
+        assignedTo: opp.assignedTo,
+      },
+      last_synced: new Date().toISOString(),
+    }));
+    
+    if (cacheData.length > 0) {
+      const { error: cacheInsertError } = await supabase
+        .from('opportunities_cache')
+        .upsert(cacheData, { onConflict: 'opportunity_id' });
+      
+      if (cacheInsertError) {
+        console.error('Error saving to cache:', cacheInsertError.message);
+      } else {
+        console.log(`Cached ${cacheData.length} opportunities`);
+      }
+    }
+    
+    res.json({
+      success: true,
+      opportunities: enrichedOpportunities,
+      total: allOpportunities.length,
+      returned: enrichedOpportunities.length,
+      cached: false,
+      synced: new Date().toISOString(),
+    });
+    
+  } catch (error) {
+    console.error('Error getting opportunities:', error.message);
+    console.error('Full error:', error.response?.data || error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      details: error.response?.data || null,
+    });
+  }
+});
+api.get('/opportunities/:opportunityId', async (req, res) => {
+  try {
+    const { highlevel } = req.location;
+    const response = await highlevel.get(`/opportunities/${req.params.opportunityId}`);
+    
+    const opp = response.data.opportunity;
+    
+    const contactResponse = await highlevel.get(`/contacts/${opp.contact.id}`);
+    
+    const contact = contactResponse.data.contact;
+    
+    res.json({
+      success: true,
+      opportunity: {
+        id: opp.id,
+        name: opp.name,
+        pipelineId: opp.pipelineId,
+        pipelineStageId: opp.pipelineStageId,
+        status: opp.status,
+        monetaryValue: opp.monetaryValue,
+        assignedTo: opp.assignedTo,
+        contact: {
+          id: contact.id,
+          name: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
+          email: contact.email,
+          phone: contact.phone,
+          tags: contact.tags,
+        },
+        createdAt: opp.createdAt,
+        lastStatusChangeAt: opp.lastStatusChangeAt,
+      }
+    });
+  } catch (error) {
+    console.error('Error getting opportunity:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+function verifyWebhookSignature(req) {
+  const publicKey = process.env.HIGHLEVEL_WEBHOOK_PUBLIC_KEY;
+  const signature = req.headers['x-wh-signature'];
+  
+  if (!publicKey) {
+    throw new Error('HIGHLEVEL_WEBHOOK_PUBLIC_KEY is not configured');
+  }
+  
+  if (!signature || !req.rawBody) return false;
+  
+  const verifier = crypto.createVerify('sha256');
+  verifier.update(req.rawBody);
+  verifier.end();
+  
+  return verifier.verify(publicKey.replace(/\\n/g, '\n'), signature, 'base64');
+}
+
+// HighLevel redelivers webhooks and a captured request stays validly signed, so each
+// webhookId is only processed once. Returns false when the event was already recorded.
+async function recordWebhookEvent(event) {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .upsert({
+      webhook_id: event.webhookId,
+      location_id: event.locationId || null,
+      type: event.type,
+      received_at: new Date().toISOString(),
+    }, { onConflict: 'webhook_id', ignoreDuplicates: true })
+    .select();
+  
+  if (error) throw error;
+  return data.length > 0;
+}
+
+async function markAnalysisStale(locationId, contactId, changedAt) {
+  const { data: latest, error } = await supabase
+    .from('analyses')
+    .select('created_at')
+    .eq('location_id', locationId)
+    .eq('contact_id', contactId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  // Nothing to invalidate if the contact was never analyzed or the change predates the analysis
+  if (!latest || new Date(latest.created_at) >= new Date(changedAt)) {
+    return false;
+  }
+  
+  await supabase
+    .from('contacts_cache')
+    .update({ analysis_stale: true })
+    .eq('location_id', locationId)
+    .eq('contact_id', contactId);
+  
+  await supabase
+    .from('opportunities_cache')
+    .update({ analysis_stale: true })
+    .eq('location_id', locationId)
+    .eq('contact_id', contactId);
+  
+  console.log(`Contact ${contactId} marked as stale`);
+  return true;
+}
+
+async function handleHighLevelEvent(locationId, event) {
+  switch (event.type) {
+    case 'ContactCreate':
+    case 'ContactUpdate': {
+      const { error } = await supabase
+        .from('contacts_cache')
+        .upsert(toContactCacheRow(event, locationId), { onConflict: 'contact_id' });
+      
+      if (error) throw error;
+      return { action: 'contact_upserted', contactId: event.id };
+    }
+    
+    case 'ContactDelete': {
+      const { error } = await supabase
+        .from('contacts_cache')
+        .delete()
+        .eq('location_id', locationId)
+        .eq('contact_id', event.id);
+      
+      if (error) throw error;
+      
+      await supabase
+        .from('opportunities_cache')
+        .delete()
+        .eq('location_id', locationId)
+        .eq('contact_id', event.id);
+      
+      return { action: 'contact_deleted', contactId: event.id };
+    }
+    
+    case 'OpportunityStatusUpdate': {
+      const row = {
+        opportunity_id: event.id,
+        location_id: locationId,
+        contact_id: event.contactId,
+        name: event.name,
+        status: event.status,
+        pipeline_id: event.pipelineId,
+        pipeline_stage_id: event.pipelineStageId,
+        monetary_value: event.monetaryValue,
+        last_synced: new Date().toISOString(),
+      };
+      
+      const { error } = await supabase
+        .from('opportunities_cache')
+        .upsert(row, { onConflict: 'opportunity_id' });
+      
+      if (error) throw error;
+      return { action: 'opportunity_updated', opportunityId: event.id };
+    }
+    
+    case 'InboundMessage':
+    case 'OutboundMessage': {
+      const stale = await markAnalysisStale(locationId, event.contactId, event.dateAdded || new Date().toISOString());
+      return { action: stale ? 'analysis_marked_stale' : 'no_change', contactId: event.contactId };
+    }
+    
+    default:
+      return { action: 'ignored' };
+  }
+}
+
+app.post('/api/webhooks/highlevel', async (req, res) => {
+  const event = req.body;
+  let recorded = false;
+  
+  try {
+    if (!process.env.HIGHLEVEL_WEBHOOK_PUBLIC_KEY) {
+      return res.status(503).json({
+        success: false,
+        error: 'Webhooks are not configured'
+      });
+    }
+    
+    if (!verifyWebhookSignature(req)) {
+      console.warn('Rejected HighLevel webhook with invalid signature');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid webhook signature'
+      });
+    }
+    
+    if (!event.webhookId) {
+      return res.status(400).json({
+        success: false,
+        error: 'webhookId is required'
+      });
+    }
+    
+    recorded = await recordWebhookEvent(event);
+    
+    if (!recorded) {
+      console.log(`Ignoring duplicate HighLevel webhook ${event.webhookId}`);
+      return res.json({ success: true, action: 'duplicate' });
+    }
+    
+    if (event.type === 'UNINSTALL' && event.locationId) {
+      const { error } = await supabase
+        .from('locations')
+        .update({
+          is_active: false,
+          access_token: null,
+          refresh_token: null,
+          token_expires_at: null,
+        })
+        .eq('location_id', event.locationId)
+        .eq('auth_type', 'oauth');
+      
+      if (error) throw error;
+      
+      locationContexts.delete(event.locationId);
+      console.log(`HighLevel app uninstalled from location ${event.locationId}`);
+      
+      return res.json({ success: true, action: 'location_uninstalled' });
+    }
+    
+    const location = event.locationId ? await getLocationContext(event.locationId) : null;
+    
+    if (!location) {
+      return res.json({ success: true, action: 'ignored' });
+    }
+    
+    console.log(`HighLevel webhook: ${event.type} (${location.locationId})`);
+    
+    const result = await handleHighLevelEvent(location.locationId, event);
+    
+    res.json({
+      success: true,
+      ...result,
+    });
+  } catch (error) {
+    console.error('Webhook error:', error.message);
+    
+    // Let HighLevel's retry through if processing failed after the event was recorded
+    if (recorded) {
+      await supabase.from('webhook_events').delete().eq('webhook_id', event.webhookId);
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+const MAX_RECORDING_BYTES = parseInt(process.env.MAX_RECORDING_BYTES || String(500 * 1024 * 1024));
+const AUDIO_CHUNK_SECONDS = parseInt(process.env.AUDIO_CHUNK_SECONDS || '600');
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+async function downloadRecording(location, messageId) {
+  const recordingUrl = `/conversations/messages/${messageId}/locations/${location.locationId}/recording`;
+  
+  const audioResponse = await location.highlevel.get(recordingUrl, {
+    responseType: 'arraybuffer',
+    maxContentLength: MAX_RECORDING_BYTES,
+    timeout: 300000,
+  });
+  
+  console.log(`Audio downloaded: ${(audioResponse.data.length / (1024 * 1024)).toFixed(2)}MB`);
+  
+  return Buffer.from(audioResponse.data);
+}
+
+function formatTranscription(row, cached) {
+  return {
+    messageId: row.message_id,
+    text: row.text,
+    segments: row.segments,
+    language: row.language,
+    duration: row.duration,
+    model: row.model,
+    provider: row.provider,
+    cached,
+    createdAt: row.created_at,
+  };
+}
+
+// Re-encodes to 64kbps mono so every AUDIO_CHUNK_SECONDS chunk stays far below Whisper's limit
+async function splitAudio(audioBuffer) {
+  const workDir = await mkdtemp(path.join(os.tmpdir(), 'recording-'));
+  
+  try {
+    const inputPath = path.join(workDir, 'input');
+    await writeFile(inputPath, audioBuffer);
+    
+    await execFileAsync(FFMPEG_PATH, [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-i', inputPath,
+      '-f', 'segment',
+      '-segment_time', String(AUDIO_CHUNK_SECONDS),
+      '-ac', '1',
+      '-ar', '16000',
+      '-c:a', 'libmp3lame',
+      '-b:a', '64k',
+      path.join(workDir, 'chunk_%03d.mp3'),
+    ]);
+    
+    const chunkNames = (await readdir(workDir))
+      .filter(name => name.startsWith('chunk_'))
+      .sort();
+    
+    return Promise.all(chunkNames.map(name => readFile(path.join(workDir, name))));
+  } finally {
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// Dual-channel call recordings keep each party on its own channel. Returns one mono mp3 per
+// channel, or null when the recording is mono (or ffprobe is unavailable).
+async function splitChannels(audioBuffer) {
+  const workDir = await mkdtemp(path.join(os.tmpdir(), 'channels-'));
+  
+  try {
+    const inputPath = path.join(workDir, 'input');
+    await writeFile(inputPath, audioBuffer);
+    
+    let channels;
+    try {
+      const { stdout } = await execFileAsync(FFPROBE_PATH, [
+        '-v', 'error',
+        '-select_streams', 'a:0',
+        '-show_entries', 'stream=channels',
+        '-of', 'csv=p=0',
+        inputPath,
+      ]);
+      channels = parseInt(stdout);
+    } catch (error) {
+      console.warn('Could not probe recording channels:', error.message);
+      return null;
+    }
+    
+    if (channels !== 2) return null;
+    
+    await execFileAsync(FFMPEG_PATH, [
+      '-hide_banner',
+      '-loglevel', 'error',
+      '-i', inputPath,
+      '-filter_complex', '[0:a]channelsplit=channel_layout=stereo[left][right]',
+      '-map', '[left]', '-ar', '16000', '-c:a', 'libmp3lame', '-b:a', '64k', path.join(workDir, 'left.mp3'),
+      '-map', '[right]', '-ar', '16000', '-c:a', 'libmp3lame', '-b:a', '64k', path.join(workDir, 'right.mp3'),
+    ]);
+    
+    return Promise.all(['left.mp3', 'right.mp3'].map(name => readFile(path.join(workDir, name))));
+  } finally {
+    await rm(workDir, { recursive: true, force: true });
+  }
+}
+
+function getTranscriptionProvider(name) {
+  const providerName = name || process.env.TRANSCRIPTION_PROVIDER || 'openai';
+  const provider = Object.hasOwn(transcriptionProviders, providerName) ? transcriptionProviders[providerName] : null;
+  
+  if (!provider) {
+    throw new Error(`Unknown transcription provider: ${providerName}`);
+  }
+  
+  if (!provider.client) {
+    throw new Error(`Transcription provider "${providerName}" is not configured`);
+  }
+  
+  return { name: providerName, ...provider };
+}
+
+async function transcribeChunk(provider, audioBuffer, language) {
+  const audioFile = new File([audioBuffer], 'recording.mp3', { type: 'audio/mpeg' });
+  
+  return provider.client.audio.transcriptions.create({
+    file: audioFile,
+    model: provider.model,
+    language: language,
+    response_format: 'verbose_json',
+  });
+}
+
+async function transcribeAudio(provider, audioBuffer, language) {
+  if (audioBuffer.length <= provider.maxBytes) {
+    return transcribeChunk(provider, audioBuffer, language);
+  }
+  
+  const chunks = await splitAudio(audioBuffer);
+  console.log(`Recording exceeds Whisper limit, transcribing ${chunks.length} chunks of ${AUDIO_CHUNK_SECONDS}s`);
+  
+  const texts = [];
+  const segments = [];
+  let offset = 0;
+  let detectedLanguage = null;
+  
+  for (let i = 0; i < chunks.length; i++) {
+    const part = await transcribeChunk(provider, chunks[i], language);
+    console.log(`Chunk ${i + 1}/${chunks.length} transcribed`);
+    
+    texts.push(part.text.trim());
+    detectedLanguage = detectedLanguage || part.language;
+    
+    for (const segment of part.segments || []) {
+      segments.push({
+        ...segment,
+        id: segments.length,
+        start: segment.start + offset,
+        end: segment.end + offset,
+      });
+    }
+    
+    offset += part.duration || AUDIO_CHUNK_SECONDS;
+  }
+  
+  return {
+    text: texts.join(' '),
+    segments,
+    language: detectedLanguage,
+    duration: offset,
+  };
+}
+
+// Each channel is transcribed on its own and the segments are merged back in time order,
+// tagged with the channel they came from so speakers are known rather than guessed
+async function transcribeChannels(provider, channelBuffers, language) {
+  console.log('Stereo recording, transcribing each channel separately');
+  
+  const parts = [];
+  for (const buffer of channelBuffers) {
+    parts.push(await transcribeAudio(provider, buffer, language));
+  }
+  
+  const segments = parts
+    .flatMap((part, channel) => (part.segments || []).map(segment => ({ ...segment, channel })))
+    .sort((a, b) => a.start - b.start)
+    .map((segment, id) => ({ ...segment, id }));
+  
+  return {
+    text: segments.map(segment => segment.text.trim()).filter(Boolean).join(' '),
+    segments,
+    language: parts[0].language || parts[1].language,
+    duration: Math.max(...parts.map(part => part.duration || 0)),
+  };
+}
+
+// Transcripts are cached per HighLevel message id so we only pay Whisper once per recording
+async function transcribeMessage(location, messageId, { language = 'es', force = false, provider: providerName } = {}) {
+  const provider = getTranscriptionProvider(providerName);
+  
+  // A recording is cached once per provider and requested language, since either changes the text
+  if (!force) {
+    const { data: cached, error: cacheError } = await supabase
+      .from('transcriptions')
+      .select('*')
+      .eq('location_id', location.locationId)
+      .eq('message_id', messageId)
+      .eq('provider', provider.name)
+      .eq('requested_language', language)
+      .maybeSingle();
+    
+    if (cacheError) {
+      console.error(`Error reading transcription cache for ${messageId}:`, cacheError.message);
+    } else if (cached) {
+      console.log(`Using cached transcription for message: ${messageId}`);
+      return formatTranscription(cached, true);
+    }
+  }
+  
+  console.log(`Transcribing message: ${messageId} with ${provider.name}`);
+  
+  const audioBuffer = await downloadRecording(location, messageId);
+  const channelBuffers = await splitChannels(audioBuffer);
+  const transcription = channelBuffers
+    ? await transcribeChannels(provider, channelBuffers, language)
+    : await transcribeAudio(provider, audioBuffer, language);
+  
+  console.log('Transcription completed');
+  
+  const row = {
+    message_id: messageId,
+    location_id: location.locationId,
+    text: transcription.text,
+    segments: transcription.segments || [],
+    language: transcription.language,
+    requested_language: language,
+    duration: transcription.duration,
+    model: provider.model,
+    provider: provider.name,
+    updated_at: new Date().toISOString(),
+  };
+  
+  const { data: saved, error: saveError } = await supabase
+    .from('transcriptions')
+    .upsert(row, { onConflict: 'message_id,provider,requested_language' })
+    .select()
+    .single();
+  
+  if (saveError) {
+    console.error(`Error caching transcription for ${messageId}:`, saveError.message);
+  }
+  
+  return formatTranscription(saved || row, false);
+}
+
+api.post('/transcribe', requireRole('auditor'), async (req, res) => {
+  try {
+    const { messageId, language = 'es', force = false, direction, provider } = req.body;
+    
+    if (!messageId) {
+      return res.status(400).json({
+        success: false,
+        error: 'messageId is required'
+      });
+    }
+    
+    if (provider && !Object.hasOwn(transcriptionProviders, provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `provider must be one of: ${Object.keys(transcriptionProviders).join(', ')}`
+      });
+    }
+    
+    const transcription = await transcribeMessage(req.location, messageId, { language, force, provider });
+    
+    res.json({
+      success: true,
+      messageId,
+      transcription: transcription.text,
+      language: transcription.language,
+      duration: transcription.duration,
+      segments: transcription.segments,
+      turns: direction ? buildSpeakerTurns(transcription.segments, direction) : undefined,
+      model: transcription.model,
+      provider: transcription.provider,
+      cached: transcription.cached,
+    });
+    
+  } catch (error) {
+    console.error('Transcription error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+const DEFAULT_PROMPT_SETTINGS = {
+  includeContactInfo: true,
+  includeWhatsApp: true,
+  includeSMS: true,
+  includeCalls: true,
+  model: 'claude-sonnet-4-5-20250929',
+  language: 'es',
+  structuredOutput: true,
+};
+
+// setter and closer exist for every location; a row in prompt_types overrides or archives them
+const BUILTIN_PROMPT_TYPES = [
+  { key: 'setter', name: 'Setter', description: 'Auditoría de la fase de cualificación y agendado' },
+  { key: 'closer', name: 'Closer', description: 'Auditoría de la llamada de venta y cierre' },
+];
+
+const PROMPT_TYPE_KEY = /^[a-z0-9][a-z0-9_-]{1,39}$/;
+
+function formatPromptType(type) {
+  return {
+    key: type.key,
+    name: type.name,
+    description: type.description || null,
+    defaultSettings: type.default_settings || {},
+    isArchived: Boolean(type.is_archived),
+    builtin: BUILTIN_PROMPT_TYPES.some(b => b.key === type.key),
+    createdAt: type.created_at || null,
+  };
+}
+
+async function listPromptTypes(locationId, { includeArchived = false } = {}) {
+  const { data: rows, error } = await supabase
+    .from('prompt_types')
+    .select('*')
+    .eq('location_id', locationId)
+    .order('created_at', { ascending: true });
+  
+  if (error) throw error;
+  
+  const types = [
+    ...BUILTIN_PROMPT_TYPES.map(builtin => rows.find(row => row.key === builtin.key) || builtin),
+    ...rows.filter(row => !BUILTIN_PROMPT_TYPES.some(builtin => builtin.key === row.key)),
+  ];
+  
+  return types.filter(type => includeArchived || !type.is_archived);
+}
+
+// Returns the type only if it exists and is not archived
+async function getPromptType(locationId, key) {
+  const types = await listPromptTypes(locationId);
+  return types.find(type => type.key === key) || null;
+}
+
+function unknownPromptTypeError(res, promptType) {
+  return res.status(400).json({
+    success: false,
+    error: `Unknown or archived prompt type "${promptType}". See /api/prompt-types`
+  });
+}
+
+function formatPrompt(p) {
+  return {
+    id: p.id,
+    version: p.version,
+    content: p.content,
+    settings: p.settings,
+    createdAt: p.created_at,
+    createdBy: p.created_by,
+    changeNote: p.change_note || null,
+    isActive: p.is_active,
+    promptType: p.prompt_type,
+  };
+}
+
+api.get('/prompt-types', async (req, res) => {
+  try {
+    const types = await listPromptTypes(req.location.locationId, {
+      includeArchived: req.query.includeArchived === 'true',
+    });
+    
+    res.json({
+      success: true,
+      types: types.map(formatPromptType),
+    });
+  } catch (error) {
+    console.error('Error getting prompt types:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.post('/prompt-types', requireRole('admin'), async (req, res) => {
+  try {
+    const { locationId } = req.location;
+    const { key, name, description, defaultSettings = {} } = req.body;
+    
+    if (!PROMPT_TYPE_KEY.test(key || '')) {
+      return res.status(400).json({
+        success: false,
+        error: 'key must be 2-40 lowercase letters, numbers, "_" or "-"'
+      });
+    }
+    
+    const existing = await listPromptTypes(locationId, { includeArchived: true });
+    
+    if (existing.some(type => type.key === key)) {
+      return res.status(409).json({
+        success: false,
+        error: `Prompt type "${key}" already exists`
+      });
+    }
+    
+    const { data: type, error } = await supabase
+      .from('prompt_types')
+      .insert({
+        location_id: locationId,
+        key,
+        name: name || key,
+        description: description || null,
+        default_settings: defaultSettings,
+        is_archived: false,
+        created_by: req.user?.id || null,
+      })
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      type: formatPromptType(type),
+    });
+  } catch (error) {
+    console.error('Error creating prompt type:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Built-in types get their row on first change
+async function savePromptType(req, res, fields) {
+  try {
+    const { locationId } = req.location;
+    const types = await listPromptTypes(locationId, { includeArchived: true });
+    const current = types.find(type => type.key === req.params.key);
+    
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt type not found'
+      });
+    }
+    
+    const { data: type, error } = await supabase
+      .from('prompt_types')
+      .upsert({
+        location_id: locationId,
+        key: current.key,
+        name: current.name,
+        description: current.description || null,
+        default_settings: current.default_settings || {},
+        is_archived: Boolean(current.is_archived),
+        ...fields,
+      }, { onConflict: 'location_id,key' })
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      type: formatPromptType(type),
+    });
+  } catch (error) {
+    console.error('Error updating prompt type:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+}
+
+api.put('/prompt-types/:key', requireRole('admin'), (req, res) => {
+  const { name, description, defaultSettings } = req.body;
+  const fields = {};
+  
+  if (name !== undefined) fields.name = name;
+  if (description !== undefined) fields.description = description;
+  if (defaultSettings !== undefined) fields.default_settings = defaultSettings;
+  
+  return savePromptType(req, res, fields);
+});
+
+// Archived types disappear from listings and stop accepting new prompt versions;
+// their prompts and analyses are kept
+api.post('/prompt-types/:key/archive', requireRole('admin'), (req, res) => {
+  return savePromptType(req, res, { is_archived: true });
+});
+
+api.post('/prompt-types/:key/unarchive', requireRole('admin'), (req, res) => {
+  return savePromptType(req, res, { is_archived: false });
+});
+
+function summarizeLineChanges(fromContent, toContent) {
+  let added = 0;
+  let removed = 0;
+  
+  for (const part of diffLines(fromContent || '', toContent || '')) {
+    if (part.added) added += part.count;
+    if (part.removed) removed += part.count;
+  }
+  
+  return { added, removed };
+}
+
+function diffPromptSettings(fromSettings = {}, toSettings = {}) {
+  const keys = [...new Set([...Object.keys(fromSettings), ...Object.keys(toSettings)])];
+  
+  return keys
+    .filter(key => JSON.stringify(fromSettings[key]) !== JSON.stringify(toSettings[key]))
+    .map(key => ({ key, from: fromSettings[key] ?? null, to: toSettings[key] ?? null }));
+}
+
+const userEmailCache = new Map();
+
+// created_by holds a Supabase user id since auth was added; older rows hold free text
+async function resolveAuthors(ids) {
+  const uuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+  
+  await Promise.all([...new Set(ids)].filter(id => id && uuid.test(id) && !userEmailCache.has(id)).map(async id => {
+    const { data, error } = await supabase.auth.admin.getUserById(id);
+    userEmailCache.set(id, error ? null : data.user?.email || null);
+  }));
+  
+  return (id) => (id && userEmailCache.get(id)) || id || null;
+}
+
+async function findPromptVersion(locationId, { id, promptType, version }) {
+  let query = supabase
+    .from('prompts')
+    .select('*')
+    .eq('location_id', locationId);
+  
+  query = id ? query.eq('id', id) : query.eq('prompt_type', promptType).eq('version', version);
+  
+  const { data, error } = await query.maybeSingle();
+  
+  if (error) throw error;
+  return data;
+}
+
+// Either ?from=<promptId>&to=<promptId> or ?type=setter&fromVersion=12&toVersion=13
+api.get('/prompts/diff', async (req, res) => {
+  try {
+    const { locationId } = req.location;
+    const { from, to, type = 'setter', fromVersion, toVersion } = req.query;
+    
+    if (!(from && to) && !(fromVersion && toVersion)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Pass from and to prompt ids, or type with fromVersion and toVersion'
+      });
+    }
+    
+    const [fromPrompt, toPrompt] = await Promise.all([
+      findPromptVersion(locationId, from ? { id: from } : { promptType: type, version: parseInt(fromVersion) }),
+      findPromptVersion(locationId, to ? { id: to } : { promptType: type, version: parseInt(toVersion) }),
+    ]);
+    
+    if (!fromPrompt || !toPrompt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt version not found'
+      });
+    }
+    
+    const authorOf = await resolveAuthors([fromPrompt.created_by, toPrompt.created_by]);
+    const describe = (p) => ({
+      id: p.id,
+      promptType: p.prompt_type,
+      version: p.version,
+      author: authorOf(p.created_by),
+      changeNote: p.change_note || null,
+      createdAt: p.created_at,
+    });
+    
+    res.json({
+      success: true,
+      from: describe(fromPrompt),
+      to: describe(toPrompt),
+      content: {
+        ...summarizeLineChanges(fromPrompt.content, toPrompt.content),
+        diff: createTwoFilesPatch(
+          `${fromPrompt.prompt_type} v${fromPrompt.version}`,
+          `${toPrompt.prompt_type} v${toPrompt.version}`,
+          fromPrompt.content,
+          toPrompt.content,
+          '',
+          '',
+          { context: 3 }
+        ),
+      },
+      settings: diffPromptSettings(fromPrompt.settings, toPrompt.settings),
+    });
+  } catch (error) {
+    console.error('Error diffing prompts:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.get('/prompts/history', async (req, res) => {
+  try {
+    const { locationId } = req.location;
+    const { type } = req.query;
+    
+    let query = supabase
+      .from('prompts')
+      .select('*')
+      .eq('location_id', locationId)
+      .order('version', { ascending: false });
+    
+    if (type) {
+      query = query.eq('prompt_type', type);
+    }
+    
+    const { data: prompts, error } = await query;
+    
+    if (error) throw error;
+    
+    const active = {};
+    for (const p of prompts) {
+      if (p.is_active) active[p.prompt_type] = formatPrompt(p);
+    }
+    
+    const authorOf = await resolveAuthors(prompts.map(p => p.created_by));
+    
+    // Versions are listed newest first, so the previous version of a type comes later
+    const history = prompts.map((p, i) => {
+      const previous = prompts.slice(i + 1).find(other => other.prompt_type === p.prompt_type);
+      
+      return {
+        ...formatPrompt(p),
+        author: authorOf(p.created_by),
+        lineChanges: previous
+          ? { ...summarizeLineChanges(previous.content, p.content), previousVersion: previous.version }
+          : null,
+      };
+    });
+    
+    res.json({
+      success: true,
+      prompts: history,
+      active,
+      // Kept for dashboards that predate custom prompt types
+      activeSetter: active.setter || null,
+      activeCloser: active.closer || null,
+    });
+  } catch (error) {
+    console.error('Error getting prompts:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.get('/prompts/active', async (req, res) => {
+  try {
+    const { locationId } = req.location;
+    const { type = 'setter' } = req.query;
+    
+    const { data, error } = await supabase
+      .from('prompts')
+      .select('*')
+      .eq('location_id', locationId)
+      .eq('is_active', true)
+      .eq('prompt_type', type)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') throw error;
+    
+    res.json({
+      success: true,
+      prompt: data ? formatPrompt(data) : null,
+      message: data ? null : `No active ${type} prompt set`
+    });
+  } catch (error) {
+    console.error('Error getting active prompt:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.post('/prompts', requireRole('admin'), async (req, res) => {
+  try {
+    const { locationId } = req.location;
+    const { content, settings, createdBy, changeNote, promptType = 'setter' } = req.body;
+    
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        error: 'content is required'
+      });
+    }
+    
+    if (typeof changeNote !== 'string' || !changeNote.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'changeNote is required: describe what changed in this version and why'
+      });
+    }
+    
+    const type = await getPromptType(locationId, promptType);
+    
+    if (!type) return unknownPromptTypeError(res, promptType);
+    
+    if (settings?.transcriptionProvider && !Object.hasOwn(transcriptionProviders, settings.transcriptionProvider)) {
+      return res.status(400).json({
+        success: false,
+        error: `settings.transcriptionProvider must be one of: ${Object.keys(transcriptionProviders).join(', ')}`
+      });
+    }
+    
+    if (settings?.outputSchema) {
+      try {
+        ajv.compile(settings.outputSchema);
+      } catch (schemaError) {
+        return res.status(400).json({
+          success: false,
+          error: `settings.outputSchema is not a valid JSON Schema: ${schemaError.message}`
+        });
+      }
+    }
+    
+    const partials = await loadPromptPartials(locationId);
+    
+    try {
+      const { missing } = renderPromptTemplate(content, {}, partials);
+      const missingPartials = missing.filter(tag => tag.startsWith('> '));
+      
+      if (missingPartials.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown partials: ${missingPartials.map(tag => tag.slice(2)).join(', ')}`
+        });
+      }
+    } catch (templateError) {
+      return res.status(400).json({
+        success: false,
+        error: templateError.message
+      });
+    }
+    
+    const { data: maxData } = await supabase
+      .from('prompts')
+      .select('version')
+      .eq('location_id', locationId)
+      .eq('prompt_type', promptType)
+      .order('version', { ascending: false })
+      .limit(1)
+      .single();
+    
+    const nextVersion = (maxData?.version || 0) + 1;
+    
+    await supabase
+      .from('prompts')
+      .update({ is_active: false })
+      .eq('location_id', locationId)
+      .eq('is_active', true)
+      .eq('prompt_type', promptType);
+    
+    const { data: newPrompt, error } = await supabase
+      .from('prompts')
+      .insert({
+        location_id: locationId,
+        version: nextVersion,
+        content,
+        settings: settings || { ...DEFAULT_PROMPT_SETTINGS, ...type.default_settings },
+        created_by: req.user?.id || createdBy || 'user',
+        change_note: changeNote.trim(),
+        is_active: true,
+        prompt_type: promptType,
+      })
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      prompt: formatPrompt(newPrompt),
+      message: `${promptType.charAt(0).toUpperCase() + promptType.slice(1)} prompt v${newPrompt.version} saved and activated`
+    });
+  } catch (error) {
+    console.error('Error saving prompt:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.post('/prompts/:id/restore', requireRole('admin'), async (req, res) => {
+  try {
+    const { locationId } = req.location;
+    const { data: promptToRestore, error: fetchError } = await supabase
+      .from('prompts')
+      .select('*')
+      .eq('location_id', locationId)
+      .eq('id', req.params.id)
+      .single();
+    
+    if (fetchError) throw fetchError;
+    
+    if (!promptToRestore) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt not found'
+      });
+    }
+    
+    await supabase
+      .from('prompts')
+      .update({ is_active: false })
+      .eq('location_id', locationId)
+      .eq('is_active', true)
+      .eq('prompt_type', promptToRestore.prompt_type);
+    
+    const { data: restored, error } = await supabase
+      .from('prompts')
+      .update({ is_active: true })
+      .eq('location_id', locationId)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      prompt: formatPrompt(restored),
+      message: `${restored.prompt_type.charAt(0).toUpperCase() + restored.prompt_type.slice(1)} prompt v${restored.version} restored and activated`
+    });
+  } catch (error) {
+    console.error('Error restoring prompt:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.delete('/prompts/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { locationId } = req.location;
+    const { data: deleted, error } = await supabase
+      .from('prompts')
+      .delete()
+      .eq('location_id', locationId)
+      .eq('id', req.params.id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prompt not found'
+      });
+    }
+    
+    if (deleted.is_active) {
+      const { data: latest } = await supabase
+        .from('prompts')
+        .select('*')
+        .eq('location_id', locationId)
+        .eq('prompt_type', deleted.prompt_type)
+        .order('version', { ascending: false })
+        .limit(1)
+        .single();
+      
+      if (latest) {
+        await supabase
+          .from('prompts')
+          .update({ is_active: true })
+          .eq('location_id', locationId)
+          .eq('id', latest.id);
+      }
+    }
+    
+    res.json({
+      success: true,
+      message: `Prompt v${deleted.version} deleted`
+    });
+  } catch (error) {
+    console.error('Error deleting prompt:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+const DEFAULT_ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    verdict: { type: 'string', enum: ['pass', 'needs_improvement', 'fail'] },
+    overallScore: { type: 'number', minimum: 0, maximum: 10 },
+    scores: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          criterion: { type: 'string' },
+          score: { type: 'number', minimum: 0, maximum: 10 },
+          comment: { type: 'string' },
+        },
+        required: ['criterion', 'score'],
+      },
+    },
+    objections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          objection: { type: 'string' },
+          handled: { type: 'boolean' },
+          response: { type: 'string' },
+        },
+        required: ['objection', 'handled'],
+      },
+    },
+    nextStep: {
+      type: 'object',
+      properties: {
+        recommendation: { type: 'string' },
+        priority: { type: 'string', enum: ['low', 'medium', 'high'] },
+      },
+      required: ['recommendation'],
+    },
+    redFlags: {
+      type: 'array',
+      items: { type: 'string' },
+    },
+  },
+  required: ['summary', 'verdict', 'overallScore', 'scores', 'objections', 'nextStep', 'redFlags'],
+};
+
+function getPromptOutputSchema(prompt) {
+  if (prompt.settings?.outputSchema) return prompt.settings.outputSchema;
+  if (prompt.settings?.structuredOutput) return DEFAULT_ANALYSIS_SCHEMA;
+  return null;
+}
+
+// Takes the last ```json block of the reply, or the whole reply if it is bare JSON
+function extractJsonBlock(text) {
+  const blocks = [...text.matchAll(/```json\s*([\s\S]*?)```/g)];
+  if (blocks.length > 0) return blocks[blocks.length - 1][1].trim();
+  
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) return trimmed;
+  
+  return null;
+}
+
+function parseStructuredOutput(text, validate) {
+  const json = extractJsonBlock(text);
+  if (!json) {
+    return { data: null, errors: ['No JSON block found in the response'] };
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (err) {
+    return { data: null, errors: [`Invalid JSON: ${err.message}`] };
+  }
+  
+  if (!validate(data)) {
+    return {
+      data: null,
+      errors: validate.errors.map(e => `${e.instancePath || '/'} ${e.message}`),
+    };
+  }
+  
+  return { data, errors: [] };
+}
+
+// The exact user message sent to Claude for an analysis: the rendered prompt plus the
+// output schema instructions
+function renderAnalysisPrompt(prompt, promptText) {
+  const outputSchema = getPromptOutputSchema(prompt);
+  
+  let content = promptText;
+  
+  if (outputSchema) {
+    content += `\n\n━━━━━━━━━━━━━━━━━━━━━━━━\n\nAl final de tu análisis, incluye un único bloque \`\`\`json que cumpla exactamente este JSON Schema:\n${JSON.stringify(outputSchema, null, 2)}`;
+  }
+  
+  return content;
+}
+
+async function requestAnalysis(prompt, renderedPrompt) {
+  const model = prompt.settings.model || 'claude-sonnet-4-5-20250929';
+  const maxTokens = prompt.settings.maxTokens || 4000;
+  const outputSchema = getPromptOutputSchema(prompt);
+  
+  const messages = [{ role: 'user', content: renderedPrompt }];
+  
+  const claudeResponse = await anthropic.messages.create({
+    model,
+    max_tokens: maxTokens,
+    messages,
+  });
+  
+  const analysisText = claudeResponse.content[0].text;
+  
+  if (!outputSchema) {
+    return { analysisText, structuredOutput: null, structuredOutputErrors: [], attempts: 1 };
+  }
+  
+  const validate = ajv.compile(outputSchema);
+  const maxRetries = prompt.settings.maxOutputRetries ?? 2;
+  
+  let replyText = analysisText;
+  let result = parseStructuredOutput(replyText, validate);
+  let attempts = 1;
+  
+  while (result.errors.length > 0 && attempts <= maxRetries) {
+    console.log(`Structured output invalid (attempt ${attempts}): ${result.errors.join('; ')}`);
+    
+    messages.push(
+      { role: 'assistant', content: replyText },
+      {
+        role: 'user',
+        content: `El bloque JSON no es válido:\n- ${result.errors.join('\n- ')}\n\nResponde únicamente con el bloque \`\`\`json corregido.`
+      }
+    );
+    
+    const retryResponse = await anthropic.messages.create({
+      model,
+      max_tokens: maxTokens,
+      messages,
+    });
+    
+    replyText = retryResponse.content[0].text;
+    result = parseStructuredOutput(replyText, validate);
+    attempts++;
+  }
+  
+  return {
+    analysisText,
+    structuredOutput: result.data,
+    structuredOutputErrors: result.errors,
+    attempts,
+  };
+}
+
+function formatAnalysis(a) {
+  return {
+    id: a.id,
+    contactId: a.contact_id,
+    contactName: a.contact_name,
+    promptVersion: a.prompt_version,
+    promptId: a.prompt_id,
+    promptType: a.prompt_type,
+    userId: a.user_id,
+    analysisText: a.analysis_text,
+    structuredOutput: a.structured_output,
+    overallScore: a.overall_score,
+    verdict: a.verdict,
+    scores: a.scores,
+    objections: a.objections,
+    nextStep: a.next_step,
+    redFlags: a.red_flags,
+    writeback: a.writeback,
+    transcriptions: a.transcriptions,
+    metadata: a.metadata,
+    createdAt: a.created_at,
+  };
+}
+
+const TURN_GAP_SECONDS = parseFloat(process.env.TURN_GAP_SECONDS || '1.2');
+
+const SPEAKER_LABELS = {
+  agent: 'Agente',
+  contact: 'Contacto',
+};
+
+// Stereo recordings tag every segment with its channel, and the first channel is the leg that
+// placed the call: the contact on inbound calls, the agent on outbound ones. Mono recordings
+// are not diarized, so their turns are inferred from pauses longer than TURN_GAP_SECONDS,
+// starting with whoever picks up, and flagged `inferred` so the prompt and stored transcript
+// never pass them off as real diarization.
+function buildSpeakerTurns(segments, direction) {
+  if (!segments || segments.length === 0) return [];
+  
+  const diarized = segments.every(segment => segment.channel !== undefined);
+  const firstSpeaker = direction === 'outbound' ? 'contact' : 'agent';
+  const turns = [];
+  let current = null;
+  
+  for (const segment of segments) {
+    const text = segment.text.trim();
+    if (!text) continue;
+    
+    let speaker;
+    if (diarized) {
+      speaker = (segment.channel === 0) === (direction === 'inbound') ? 'contact' : 'agent';
+    } else if (!current) {
+      speaker = firstSpeaker;
+    } else if (segment.start - current.end >= TURN_GAP_SECONDS) {
+      speaker = current.speaker === 'agent' ? 'contact' : 'agent';
+    } else {
+      speaker = current.speaker;
+    }
+    
+    if (current && current.speaker === speaker) {
+      current.text += ` ${text}`;
+      current.end = segment.end;
+    } else {
+      if (current) turns.push(current);
+      current = { speaker, inferred: !diarized, start: segment.start, end: segment.end, text };
+    }
+  }
+  
+  if (current) turns.push(current);
+  
+  return turns;
+}
+
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const minutes = Math.floor(total / 60);
+  const secs = total % 60;
+  return `${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+}
+
+function renderSpeakerTurns(turns) {
+  const lines = turns
+    .map(turn => `  [${formatTimestamp(turn.start)}] ${SPEAKER_LABELS[turn.speaker]}: ${turn.text}`);
+  
+  if (turns.some(turn => turn.inferred)) {
+    lines.unshift('  (hablantes inferidos por pausas, pueden no ser exactos)');
+  }
+  
+  return lines.join('\n');
+}
+
+async function loadAnalysisPrompt(locationId, { promptId, promptType = 'setter' }) {
+  if (promptId) {
+    const { data } = await supabase
+      .from('prompts')
+      .select('*')
+      .eq('location_id', locationId)
+      .eq('id', promptId)
+      .single();
+    return data;
+  }
+  
+  const { data } = await supabase
+    .from('prompts')
+    .select('*')
+    .eq('location_id', locationId)
+    .eq('is_active', true)
+    .eq('prompt_type', promptType)
+    .single();
+  return data;
+}
+
+// Steps 1-3 of an analysis: the contact and its normalized messages, calls transcribed
+async function collectContactData(location, options, onStep = async () => {}) {
+  const { locationId, highlevel } = location;
+  const {
+    contactId,
+    includeWhatsApp = true,
+    includeSMS = true,
+    includeCalls = true,
+    forceTranscription = false,
+    dateFrom,
+    dateTo,
+    language = 'es',
+    transcriptionProvider,
+  } = options;
+  
+  console.log('Step 1/4: Fetching contact info...');
+  await onStep(1, 'Fetching contact info');
+  const contactResponse = await highlevel.get(`/contacts/${contactId}`);
+  const contact = contactResponse.data.contact;
+  
+  console.log('Step 2/4: Fetching conversations...');
+  await onStep(2, 'Fetching conversations');
+  const conversationsResponse = await highlevel.get(
+    '/conversations/search',
+    {
+      params: {
+        locationId,
+        contactId: contactId,
+        limit: 100,
+      },
+    }
+  );
+  
+  const conversations = conversationsResponse.data.conversations || [];
+  
+  console.log('Step 3/4: Processing messages and transcribing calls...');
+  await onStep(3, 'Processing messages and transcribing calls');
+  let allMessages = [];
+  let transcriptions = [];
+  
+  for (const conv of conversations) {
+    const messages = await fetchAllMessages(location, conv.id, { dateFrom, dateTo });
+    
+    console.log(`Conversation ${conv.id}: found ${messages.length} messages`);
+    
+    for (const msg of messages) {
+      const messageType = msg.type || msg.messageType;
+      console.log(`Message type: ${messageType}, body: ${msg.body?.substring(0, 50)}...`);
+      
+      if ((messageType === 'TYPE_CALL' || messageType === 1) && includeCalls) {
+        try {
+          const transcription = await transcribeMessage(location, msg.id, {
+            language,
+            force: forceTranscription,
+            provider: transcriptionProvider,
+          });
+          
+          const turns = buildSpeakerTurns(transcription.segments, msg.direction);
+          
+          transcriptions.push({
+            messageId: msg.id,
+            type: 'CALL',
+            text: transcription.text,
+            turns,
+            direction: msg.direction,
+            duration: transcription.duration,
+            date: msg.dateAdded,
+          });
+          
+          allMessages.push({
+            type: 'CALL',
+            content: transcription.text,
+            turns,
+            direction: msg.direction,
+            date: msg.dateAdded,
+          });
+        } catch (err) {
+          console.error(`Error transcribing call ${msg.id}:`, err.message);
+        }
+      } else if ((messageType === 'TYPE_SMS' || messageType === 2) && includeSMS) {
+        allMessages.push({
+          type: 'SMS',
+          content: msg.body,
+          direction: msg.direction,
+          date: msg.dateAdded,
+        });
+      } else if ((messageType === 'TYPE_WHATSAPP' || messageType === 19) && includeWhatsApp) {
+        allMessages.push({
+          type: 'WHATSAPP',
+          content: msg.body,
+          direction: msg.direction,
+          date: msg.dateAdded,
+        });
+      } else if (messageType === 37) {
+        allMessages.push({
+          type: 'INTERNAL_NOTE',
+          content: msg.body,
+          date: msg.dateAdded,
+        });
+      }
+    }
+  }
+  
+  const customFields = await resolveCustomFields(location, contact);
+  const opportunity = await findContactOpportunity(location, contactId);
+  
+  return { contact, conversations, allMessages, transcriptions, customFields, opportunity };
+}
+
+function buildAnalysisContext(prompt, contact, messages) {
+  let contextParts = [];
+  
+  if (prompt.settings.includeContactInfo) {
+    contextParts.push(`**INFORMACIÓN DEL CONTACTO:**
+- Nombre: ${contact.firstName} ${contact.lastName}
+- Email: ${contact.email || 'No disponible'}
+- Teléfono: ${contact.phone || 'No disponible'}
+- Tags: ${contact.tags?.join(', ') || 'Ninguno'}
+- Fuente: ${contact.source || 'No especificada'}`);
+  }
+  
+  if (messages.length > 0) {
+    contextParts.push(`**HISTORIAL DE COMUNICACIONES:**\n${renderMessageTimeline(messages)}`);
+  }
+  
+  return contextParts.join('\n\n━━━━━━━━━━━━━━━━━━━━━━━━\n\n');
+}
+
+function renderMessageTimeline(messages) {
+  return [...messages]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map(msg => {
+      const date = new Date(msg.date).toLocaleString('es-ES');
+      
+      if (msg.turns?.length > 0) {
+        return `[${date}] ${msg.type} - ${msg.direction || ''}:\n${renderSpeakerTurns(msg.turns)}`;
+      }
+      
+      return `[${date}] ${msg.type} - ${msg.direction || ''}: ${msg.content}`;
+    })
+    .join('\n\n');
+}
+
+function renderCallTranscript(messages) {
+  return renderMessageTimeline(messages.filter(msg => msg.type === 'CALL'));
+}
+
+const LOOKUP_CACHE_MS = 10 * 60 * 1000;
+const customFieldDefinitionsCache = new Map();
+const pipelinesCache = new Map();
+
+async function cachedLookup(cache, locationId, loader) {
+  const cached = cache.get(locationId);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+  
+  const value = await loader();
+  cache.set(locationId, { value, expiresAt: Date.now() + LOOKUP_CACHE_MS });
+  return value;
+}
+
+// Custom field values keyed by both field id and fieldKey (without the "contact." prefix)
+async function resolveCustomFields(location, contact) {
+  if (!contact.customFields?.length) return {};
+  
+  let definitions = [];
+  try {
+    definitions = await cachedLookup(customFieldDefinitionsCache, location.locationId, async () => {
+      const response = await location.highlevel.get(`/locations/${location.locationId}/customFields`);
+      return response.data.customFields || [];
+    });
+  } catch (error) {
+    console.error('Error fetching custom field definitions:', error.message);
+  }
+  
+  const customFields = {};
+  
+  for (const field of contact.customFields) {
+    const value = Array.isArray(field.value) ? field.value.join(', ') : field.value;
+    const definition = definitions.find(d => d.id === field.id);
+    
+    customFields[field.id] = value;
+    if (definition?.fieldKey) customFields[definition.fieldKey.replace(/^contact\./, '')] = value;
+  }
+  
+  return customFields;
+}
+
+async function findContactOpportunity(location, contactId) {
+  const { data: opp, error } = await supabase
+    .from('opportunities_cache')
+    .select('*')
+    .eq('location_id', location.locationId)
+    .eq('contact_id', contactId)
+    .order('last_synced', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  
+  if (error) throw error;
+  if (!opp) return null;
+  
+  let stageName = null;
+  try {
+    const pipelines = await cachedLookup(pipelinesCache, location.locationId, async () => {
+      const response = await location.highlevel.get('/opportunities/pipelines', {
+        params: { locationId: location.locationId },
+      });
+      return response.data.pipelines || [];
+    });
+    
+    stageName = pipelines
+      .find(p => p.id === opp.pipeline_id)?.stages
+      ?.find(s => s.id === opp.pipeline_stage_id)?.name || null;
+  } catch (error) {
+    console.error('Error fetching pipelines:', error.message);
+  }
+  
+  return {
+    id: opp.opportunity_id,
+    name: opp.name,
+    status: opp.status,
+    monetaryValue: opp.monetary_value,
+    pipelineId: opp.pipeline_id,
+    pipelineName: opp.pipeline_name,
+    stageId: opp.pipeline_stage_id,
+    stageName,
+  };
+}
+
+// {{contact.firstName}}, {{customFields.audit_score}}, {{pipeline.name}}, {{timeline}}, {{> partial}}...
+const TEMPLATE_TAG = /\{\{\s*(>\s*)?([\w.-]+)\s*\}\}/g;
+const CONTEXT_VARIABLES = ['context', 'timeline', 'transcript'];
+const PROMPT_PARTIAL_NAME = /^[\w-]+$/;
+
+function buildTemplateVariables({ contact, messages, customFields = {}, opportunity = null }, fullContext) {
+  return {
+    contact: {
+      id: contact.id,
+      firstName: contact.firstName,
+      lastName: contact.lastName,
+      name: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
+      email: contact.email,
+      phone: contact.phone,
+      tags: contact.tags?.join(', '),
+      source: contact.source,
+      companyName: contact.companyName,
+      dateAdded: contact.dateAdded,
+    },
+    customFields,
+    opportunity: opportunity ? {
+      name: opportunity.name,
+      status: opportunity.status,
+      monetaryValue: opportunity.monetaryValue,
+    } : {},
+    pipeline: { id: opportunity?.pipelineId, name: opportunity?.pipelineName },
+    stage: { id: opportunity?.stageId, name: opportunity?.stageName },
+    timeline: renderMessageTimeline(messages),
+    transcript: renderCallTranscript(messages),
+    context: fullContext,
+    today: new Date().toISOString().slice(0, 10),
+  };
+}
+
+function renderPromptTemplate(template, variables, partials) {
+  const used = new Set();
+  const missing = new Set();
+  
+  const render = (text, stack) => text.replace(TEMPLATE_TAG, (tag, isPartial, name) => {
+    if (isPartial) {
+      if (stack.includes(name)) {
+        throw new Error(`Partial "${name}" includes itself (${[...stack, name].join(' > ')})`);
+      }
+      if (partials[name] === undefined) {
+        missing.add(`> ${name}`);
+        return '';
+      }
+      return render(partials[name], [...stack, name]);
+    }
+    
+    used.add(name);
+    const value = name.split('.').reduce((v, key) => v?.[key], variables);
+    
+    if (value === undefined || value === null || typeof value === 'object') {
+      missing.add(name);
+      return '';
+    }
+    
+    return String(value);
+  });
+  
+  return { text: render(template, []), used: [...used], missing: [...missing] };
+}
+
+async function loadPromptPartials(locationId) {
+  const { data: rows, error } = await supabase
+    .from('prompt_partials')
+    .select('name, content')
+    .eq('location_id', locationId);
+  
+  if (error) throw error;
+  return Object.fromEntries(rows.map(row => [row.name, row.content]));
+}
+
+// Prompts that place the conversation themselves ({{context}}, {{timeline}} or {{transcript}})
+// are sent as rendered; any other prompt gets the default context appended as before
+async function prepareAnalysisInput(locationId, prompt, data) {
+  const fullContext = buildAnalysisContext(prompt, data.contact, data.messages);
+  const partials = await loadPromptPartials(locationId);
+  const template = renderPromptTemplate(prompt.content, buildTemplateVariables(data, fullContext), partials);
+  
+  const placesContext = template.used.some(name => CONTEXT_VARIABLES.includes(name));
+  const promptText = placesContext ? template.text : `${template.text}\n\n${fullContext}`;
+  
+  return {
+    fullContext,
+    renderedPrompt: renderAnalysisPrompt(prompt, promptText),
+    variablesUsed: template.used,
+    missing: template.missing,
+  };
+}
+
+api.get('/prompt-partials', async (req, res) => {
+  try {
+    const { data: partials, error } = await supabase
+      .from('prompt_partials')
+      .select('*')
+      .eq('location_id', req.location.locationId)
+      .order('name', { ascending: true });
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      partials: partials.map(p => ({
+        name: p.name,
+        content: p.content,
+        updatedBy: p.updated_by,
+        updatedAt: p.updated_at,
+      })),
+    });
+  } catch (error) {
+    console.error('Error getting prompt partials:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.put('/prompt-partials/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const { locationId } = req.location;
+    const { name } = req.params;
+    const { content } = req.body;
+    
+    if (!PROMPT_PARTIAL_NAME.test(name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Partial names may only contain letters, numbers, "_" and "-"'
+      });
+    }
+    
+    if (typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'content is required'
+      });
+    }
+    
+    const partials = { ...await loadPromptPartials(locationId), [name]: content };
+    
+    try {
+      renderPromptTemplate(content, {}, partials);
+    } catch (templateError) {
+      return res.status(400).json({
+        success: false,
+        error: templateError.message
+      });
+    }
+    
+    const { data: partial, error } = await supabase
+      .from('prompt_partials')
+      .upsert({
+        location_id: locationId,
+        name,
+        content,
+        updated_by: req.user?.id || null,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'location_id,name' })
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      partial: {
+        name: partial.name,
+        content: partial.content,
+        updatedBy: partial.updated_by,
+        updatedAt: partial.updated_at,
+      },
+    });
+  } catch (error) {
+    console.error('Error saving prompt partial:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.delete('/prompt-partials/:name', requireRole('admin'), async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('prompt_partials')
+      .delete()
+      .eq('location_id', req.location.locationId)
+      .eq('name', req.params.name);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      message: `Partial ${req.params.name} deleted`
+    });
+  } catch (error) {
+    console.error('Error deleting prompt partial:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Renders a prompt exactly as an analysis would send it, without calling Claude. The data comes
+// from a stored analysis snapshot (analysisId) or is collected live for a contact (contactId).
+api.post('/prompts/preview', requireRole('auditor'), async (req, res) => {
+  try {
+    const { locationId } = req.location;
+    const {
+      promptId,
+      promptType = 'setter',
+      content,
+      settings,
+      contactId,
+      analysisId,
+      includeCalls = true,
+      dateFrom,
+      dateTo,
+    } = req.body;
+    
+    if (!contactId && !analysisId) {
+      return res.status(400).json({
+        success: false,
+        error: 'contactId or analysisId is required'
+      });
+    }
+    
+    let prompt;
+    if (content) {
+      prompt = { content, settings: settings || {}, prompt_type: promptType };
+    } else {
+      prompt = await loadAnalysisPrompt(locationId, { promptId, promptType });
+    }
+    
+    if (!prompt) {
+      return res.status(400).json({
+        success: false,
+        error: `No active ${promptType} prompt found. Please create a prompt first.`
+      });
+    }
+    
+    let data;
+    if (analysisId) {
+      const snapshot = await loadAnalysisSnapshot(locationId, analysisId);
+      
+      if (!snapshot) {
+        return res.status(404).json({
+          success: false,
+          error: 'No snapshot stored for this analysis'
+        });
+      }
+      
+      data = {
+        contact: snapshot.contact,
+        messages: snapshot.messages,
+        customFields: snapshot.custom_fields || {},
+        opportunity: snapshot.opportunity,
+      };
+    } else {
+      const collected = await collectContactData(req.location, {
+        contactId,
+        includeCalls,
+        dateFrom,
+        dateTo,
+        language: prompt.settings.language || 'es',
+        transcriptionProvider: prompt.settings.transcriptionProvider,
+      });
+      
+      data = {
+        contact: collected.contact,
+        messages: collected.allMessages,
+        customFields: collected.customFields,
+        opportunity: collected.opportunity,
+      };
+    }
+    
+    const preview = await prepareAnalysisInput(locationId, prompt, data);
+    
+    res.json({
+      success: true,
+      preview: {
+        renderedPrompt: preview.renderedPrompt,
+        variablesUsed: preview.variablesUsed,
+        missing: preview.missing,
+        characters: preview.renderedPrompt.length,
+        estimatedTokens: Math.ceil(preview.renderedPrompt.length / 4),
+      },
+    });
+  } catch (error) {
+    console.error('Error previewing prompt:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+async function runContactAnalysis(location, options, onStep = async () => {}) {
+  const { locationId } = location;
+  const {
+    contactId,
+    promptId,
+    promptType = 'setter',
+    includeWhatsApp = true,
+    includeSMS = true,
+    includeCalls = true,
+    forceTranscription = false,
+    dateFrom,
+    dateTo,
+    userId = null,
+  } = options;
+  
+  console.log(`Starting ${promptType} analysis for contact: ${contactId} (${locationId})`);
+  
+  const prompt = await loadAnalysisPrompt(locationId, { promptId, promptType });
+  
+  if (!prompt) {
+    throw new Error(`No active ${promptType} prompt found. Please create a prompt first.`);
+  }
+  
+  const {
+    contact,
+    conversations,
+    allMessages,
+    transcriptions,
+    customFields,
+    opportunity,
+  } = await collectContactData(location, {
+    contactId,
+    includeWhatsApp,
+    includeSMS,
+    includeCalls,
+    forceTranscription,
+    dateFrom,
+    dateTo,
+    language: prompt.settings.language || 'es',
+    transcriptionProvider: prompt.settings.transcriptionProvider,
+  }, onStep);
+  
+  console.log('Step 4/4: Running AI analysis...');
+  await onStep(4, 'Running AI analysis');
+  
+  console.log('📊 Context summary:');
+  console.log('- Contact ID:', contactId);
+  console.log('- Contact name:', `${contact.firstName} ${contact.lastName}`);
+  console.log('- Total conversations:', conversations.length);
+  console.log('- Total messages collected:', allMessages.length);
+  console.log('- Total transcriptions:', transcriptions.length);
+  console.log('📝 Sending to Claude...');
+  
+  const { fullContext, renderedPrompt, missing } = await prepareAnalysisInput(locationId, prompt, {
+    contact,
+    messages: allMessages,
+    customFields,
+    opportunity,
+  });
+  
+  if (missing.length > 0) {
+    console.log(`Prompt template has unresolved tags: ${missing.join(', ')}`);
+  }
+  
+  const {
+    analysisText,
+    structuredOutput,
+    structuredOutputErrors,
+    attempts,
+  } = await requestAnalysis(prompt, renderedPrompt);
+  
+  const structured = structuredOutput || {};
+  
+  const { data: savedAnalysis, error: saveError } = await supabase
+    .from('analyses')
+    .insert({
+      location_id: locationId,
+      contact_id: contactId,
+      user_id: userId,
+      contact_name: `${contact.firstName} ${contact.lastName}`,
+      prompt_version: prompt.version,
+      prompt_id: prompt.id,
+      prompt_type: prompt.prompt_type,
+      analysis_text: analysisText,
+      structured_output: structuredOutput,
+      overall_score: structured.overallScore ?? null,
+      verdict: structured.verdict ?? null,
+      scores: structured.scores ?? null,
+      objections: structured.objections ?? null,
+      next_step: structured.nextStep ?? null,
+      red_flags: structured.redFlags ?? null,
+      transcriptions: transcriptions,
+      metadata: {
+        totalMessages: allMessages.length,
+        totalCalls: transcriptions.length,
+        dateFrom: dateFrom || null,
+        dateTo: dateTo || null,
+        analysisDate: new Date().toISOString(),
+        promptType: prompt.prompt_type,
+        structuredOutputAttempts: attempts,
+        structuredOutputErrors: structuredOutputErrors.length > 0 ? structuredOutputErrors : undefined,
+      },
+    })
+    .select()
+    .single();
+  
+  if (saveError) throw saveError;
+  
+  // Freezes exactly what Claude saw, so the audit can be reproduced after HighLevel changes
+  const { error: snapshotError } = await supabase
+    .from('analysis_snapshots')
+    .insert({
+      analysis_id: savedAnalysis.id,
+      location_id: locationId,
+      contact_id: contactId,
+      contact,
+      messages: allMessages,
+      prompt: {
+        id: prompt.id,
+        version: prompt.version,
+        promptType: prompt.prompt_type,
+        content: prompt.content,
+        settings: prompt.settings,
+      },
+      custom_fields: customFields,
+      opportunity,
+      rendered_prompt: renderedPrompt,
+      full_context: fullContext,
+      options: { includeWhatsApp, includeSMS, includeCalls, dateFrom: dateFrom || null, dateTo: dateTo || null },
+    });
+  
+  // An analysis that cannot be reproduced is not kept, so the job fails instead
+  if (snapshotError) {
+    await supabase.from('analyses').delete().eq('id', savedAnalysis.id);
+    throw new Error(`Error saving analysis snapshot: ${snapshotError.message}`);
+  }
+  
+  await supabase
+    .from('contacts_cache')
+    .update({ has_analysis: true, analysis_stale: false })
+    .eq('location_id', locationId)
+    .eq('contact_id', contactId);
+  
+  await supabase
+    .from('opportunities_cache')
+    .update({ has_analysis: true, analysis_stale: false })
+    .eq('location_id', locationId)
+    .eq('contact_id', contactId);
+  
+  console.log('Analysis completed and saved successfully');
+  
+  savedAnalysis.writeback = await pushAnalysisToHighLevel(location, savedAnalysis);
+  
+  return savedAnalysis;
+}
+
+const WRITEBACK_FIELD_SOURCES = {
+  overallScore: (analysis) => analysis.overall_score,
+  verdict: (analysis) => analysis.verdict,
+  summary: (analysis) => analysis.structured_output?.summary,
+  nextStep: (analysis) => analysis.next_step?.recommendation,
+  promptVersion: (analysis) => analysis.prompt_version,
+  lastAuditedAt: (analysis) => analysis.created_at?.slice(0, 10),
+};
+
+const WRITEBACK_CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    dryRun: { type: 'boolean' },
+    note: { type: 'boolean' },
+    customFields: {
+      type: 'object',
+      propertyNames: { enum: Object.keys(WRITEBACK_FIELD_SOURCES) },
+      additionalProperties: { type: 'string', minLength: 1 },
+    },
+    tagRules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          tag: { type: 'string', minLength: 1 },
+          action: { type: 'string', enum: ['add', 'remove'] },
+          verdicts: { type: 'array', items: { type: 'string' } },
+          minScore: { type: 'number' },
+          maxScore: { type: 'number' },
+          hasRedFlags: { type: 'boolean' },
+        },
+        required: ['tag', 'action'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['enabled'],
+  additionalProperties: false,
+};
+
+const validateWritebackConfig = ajv.compile(WRITEBACK_CONFIG_SCHEMA);
+
+const DEFAULT_WRITEBACK_CONFIG = {
+  enabled: false,
+  dryRun: false,
+  note: true,
+  customFields: {},
+  tagRules: [],
+};
+
+const VERDICT_LABELS = {
+  pass: 'Aprobado',
+  needs_improvement: 'Necesita mejorar',
+  fail: 'No aprobado',
+};
+
+async function loadWritebackConfig(locationId, promptType) {
+  const { data, error } = await supabase
+    .from('writeback_settings')
+    .select('config')
+    .eq('location_id', locationId)
+    .eq('prompt_type', promptType)
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  return { ...DEFAULT_WRITEBACK_CONFIG, ...data?.config };
+}
+
+// A rule matches when every condition it sets holds
+function matchesTagRule(rule, analysis) {
+  if (rule.verdicts && !rule.verdicts.includes(analysis.verdict)) return false;
+  if (rule.minScore !== undefined && !(analysis.overall_score >= rule.minScore)) return false;
+  if (rule.maxScore !== undefined && !(analysis.overall_score <= rule.maxScore)) return false;
+  if (rule.hasRedFlags !== undefined && (analysis.red_flags?.length > 0) !== rule.hasRedFlags) return false;
+  return true;
+}
+
+function buildAnalysisNote(analysis) {
+  const type = analysis.prompt_type.charAt(0).toUpperCase() + analysis.prompt_type.slice(1);
+  const lines = [`Auditoría ${type} (prompt v${analysis.prompt_version}) - ${new Date(analysis.created_at).toLocaleDateString('es-ES')}`];
+  
+  if (analysis.verdict || analysis.overall_score !== null) {
+    lines.push(`Veredicto: ${VERDICT_LABELS[analysis.verdict] || analysis.verdict || '-'} | Puntuación: ${analysis.overall_score ?? '-'}/10`);
+  }
+  
+  lines.push('', analysis.structured_output?.summary || analysis.analysis_text.slice(0, 2000));
+  
+  if (analysis.next_step?.recommendation) {
+    lines.push('', `Siguiente paso${analysis.next_step.priority ? ` (${analysis.next_step.priority})` : ''}: ${analysis.next_step.recommendation}`);
+  }
+  
+  if (analysis.red_flags?.length > 0) {
+    lines.push('', 'Red flags:', ...analysis.red_flags.map(flag => `- ${flag}`));
+  }
+  
+  return lines.join('\n');
+}
+
+function planWriteback(analysis, config) {
+  const actions = [];
+  
+  if (config.note) {
+    actions.push({ type: 'note', body: buildAnalysisNote(analysis) });
+  }
+  
+  const fields = Object.entries(config.customFields)
+    .map(([source, fieldId]) => ({ id: fieldId, field_value: WRITEBACK_FIELD_SOURCES[source](analysis) }))
+    .filter(field => field.field_value !== undefined && field.field_value !== null);
+  
+  if (fields.length > 0) {
+    actions.push({ type: 'customFields', fields });
+  }
+  
+  const matched = config.tagRules.filter(rule => matchesTagRule(rule, analysis));
+  const addTags = [...new Set(matched.filter(r => r.action === 'add').map(r => r.tag))];
+  const removeTags = [...new Set(matched.filter(r => r.action === 'remove').map(r => r.tag))];
+  
+  if (addTags.length > 0) actions.push({ type: 'addTags', tags: addTags });
+  if (removeTags.length > 0) actions.push({ type: 'removeTags', tags: removeTags });
+  
+  return actions;
+}
+
+async function executeWritebackAction(location, contactId, action) {
+  switch (action.type) {
+    case 'note':
+      return location.highlevel.post(`/contacts/${contactId}/notes`, { body: action.body });
+    case 'customFields':
+      return location.highlevel.put(`/contacts/${contactId}`, { customFields: action.fields });
+    case 'addTags':
+      // Adding tags is a set union, so repeating the POST is harmless
+      return location.highlevel.post(`/contacts/${contactId}/tags`, { tags: action.tags }, { retry: true });
+    case 'removeTags':
+      return location.highlevel.delete(`/contacts/${contactId}/tags`, { data: { tags: action.tags } });
+    default:
+      throw new Error(`Unknown write-back action: ${action.type}`);
+  }
+}
+
+// Write-back is best effort: a HighLevel failure is recorded on the analysis but never fails it
+async function pushAnalysisToHighLevel(location, analysis) {
+  try {
+    const config = await loadWritebackConfig(location.locationId, analysis.prompt_type);
+    if (!config.enabled) return null;
+    
+    const writeback = {
+      status: config.dryRun ? 'dry_run' : 'completed',
+      dryRun: config.dryRun,
+      actions: planWriteback(analysis, config),
+      at: new Date().toISOString(),
+    };
+    
+    if (!config.dryRun) {
+      for (const action of writeback.actions) {
+        try {
+          await executeWritebackAction(location, analysis.contact_id, action);
+          action.status = 'done';
+        } catch (error) {
+          action.status = 'failed';
+          action.error = error.response?.data?.message || error.message;
+          writeback.status = 'partial';
+        }
+      }
+    }
+    
+    console.log(`Write-back for analysis ${analysis.id}: ${writeback.status} (${writeback.actions.length} actions)`);
+    
+    const { error } = await supabase
+      .from('analyses')
+      .update({ writeback })
+      .eq('id', analysis.id);
+    
+    if (error) console.error('Error saving write-back result:', error.message);
+    
+    return writeback;
+  } catch (error) {
+    console.error(`Write-back for analysis ${analysis.id} failed:`, error.message);
+    return { status: 'failed', error: error.message, at: new Date().toISOString() };
+  }
+}
+
+api.get('/writeback-settings', async (req, res) => {
+  try {
+    const { data: settings, error } = await supabase
+      .from('writeback_settings')
+      .select('*')
+      .eq('location_id', req.location.locationId);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      settings: settings.map(s => ({
+        promptType: s.prompt_type,
+        config: { ...DEFAULT_WRITEBACK_CONFIG, ...s.config },
+        updatedBy: s.updated_by,
+        updatedAt: s.updated_at,
+      })),
+      fieldSources: Object.keys(WRITEBACK_FIELD_SOURCES),
+    });
+  } catch (error) {
+    console.error('Error getting write-back settings:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.put('/writeback-settings/:promptType', requireRole('admin'), async (req, res) => {
+  try {
+    const { promptType } = req.params;
+    const config = req.body;
+    
+    if (!await getPromptType(req.location.locationId, promptType)) {
+      return unknownPromptTypeError(res, promptType);
+    }
+    
+    if (!validateWritebackConfig(config)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid write-back config',
+        details: validateWritebackConfig.errors.map(e => `${e.instancePath || '/'} ${e.message}`),
+      });
+    }
+    
+    const { data: saved, error } = await supabase
+      .from('writeback_settings')
+      .upsert({
+        location_id: req.location.locationId,
+        prompt_type: promptType,
+        config,
+        updated_by: req.user?.id || null,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'location_id,prompt_type' })
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      setting: {
+        promptType: saved.prompt_type,
+        config: { ...DEFAULT_WRITEBACK_CONFIG, ...saved.config },
+        updatedBy: saved.updated_by,
+        updatedAt: saved.updated_at,
+      },
+    });
+  } catch (error) {
+    console.error('Error saving write-back settings:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '2');
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000');
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '3');
+const ANALYSIS_TOTAL_STEPS = 4;
+
+// Standalone jobs and batch workers share the JOB_CONCURRENCY slots. Batch workers wait for
+// a free slot, while processJobQueue only runs when one is free right away.
+let activeJobs = 0;
+const jobSlotWaiters = [];
+
+async function acquireJobSlot() {
+  while (activeJobs >= JOB_CONCURRENCY) {
+    await new Promise(resolve => jobSlotWaiters.push(resolve));
+  }
+  activeJobs++;
+}
+
+function releaseJobSlot() {
+  activeJobs--;
+  jobSlotWaiters.shift()?.();
+}
+
+function formatJob(job) {
+  return {
+    id: job.id,
+    contactId: job.contact_id,
+    promptId: job.prompt_id,
+    promptType: job.prompt_type,
+    status: job.status,
+    currentStep: job.current_step,
+    totalSteps: ANALYSIS_TOTAL_STEPS,
+    stepLabel: job.step_label,
+    error: job.error,
+    analysisId: job.analysis_id,
+    snapshotAnalysisId: job.options?.snapshotAnalysisId || null,
+    result: job.result || null,
+    batchId: job.batch_id,
+    userId: job.user_id,
+    attempts: job.attempts,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at,
+  };
+}
+
+async function updateJob(jobId, fields) {
+  const { error } = await supabase
+    .from('analysis_jobs')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', jobId);
+  
+  if (error) console.error(`Error updating job ${jobId}:`, error.message);
+}
+
+async function enqueueAnalysisJob({
+  locationId,
+  contactId,
+  prompt,
+  includeWhatsApp = true,
+  includeSMS = true,
+  includeCalls = true,
+  forceTranscription = false,
+  dateFrom,
+  dateTo,
+  userId = null,
+  snapshotAnalysisId,
+}) {
+  const { data: job, error } = await supabase
+    .from('analysis_jobs')
+    .insert({
+      location_id: locationId,
+      contact_id: contactId,
+      user_id: userId,
+      prompt_id: prompt.id,
+      prompt_type: prompt.prompt_type,
+      options: { includeWhatsApp, includeSMS, includeCalls, forceTranscription, dateFrom, dateTo, snapshotAnalysisId },
+      status: 'queued',
+      current_step: 0,
+      attempts: 0,
+    })
+    .select()
+    .single();
+  
+  if (error) throw error;
+  
+  console.log(`Queued ${prompt.prompt_type} analysis job ${job.id} for contact ${contactId}`);
+  processJobQueue();
+  
+  return job;
+}
+
+// Batch jobs are claimed by their own batch runner so each batch keeps its concurrency limit
+async function claimNextJob(batchId = null) {
+  let query = supabase
+    .from('analysis_jobs')
+    .select('*')
+    .eq('status', 'queued');
+  
+  query = batchId ? query.eq('batch_id', batchId) : query.is('batch_id', null);
+  
+  const { data: candidates, error } = await query
+    .order('created_at', { ascending: true })
+    .limit(1);
+  
+  if (error) throw error;
+  if (!candidates || candidates.length === 0) return null;
+  
+  const candidate = candidates[0];
+  
+  // Only claim it if nobody else moved it out of "queued" in the meantime
+  const { data: claimed } = await supabase
+    .from('analysis_jobs')
+    .update({
+      status: 'running',
+      attempts: (candidate.attempts || 0) + 1,
+      started_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', candidate.id)
+    .eq('status', 'queued')
+    .select()
+    .maybeSingle();
+  
+  return claimed;
+}
+
+async function executeJob(job) {
+  console.log(`Running analysis job ${job.id} (attempt ${job.attempts})`);
+  
+  try {
+    const location = await getLocationContext(job.location_id);
+    if (!location) throw new Error(`Location ${job.location_id} is not registered`);
+    
+    // Snapshot reruns only report their result on the job, no analysis is saved
+    if (job.options?.snapshotAnalysisId) {
+      await updateJob(job.id, { current_step: ANALYSIS_TOTAL_STEPS, step_label: 'Running AI analysis' });
+      
+      const result = await rerunAnalysisSnapshot(location.locationId, job.options.snapshotAnalysisId, job.prompt_id);
+      
+      await updateJob(job.id, {
+        status: 'completed',
+        result,
+        error: null,
+        finished_at: new Date().toISOString(),
+      });
+      
+      console.log(`Snapshot rerun job ${job.id} completed`);
+      return;
+    }
+    
+    const analysis = await runContactAnalysis(
+      location,
+      {
+        ...job.options,
+        contactId: job.contact_id,
+        promptId: job.prompt_id,
+        promptType: job.prompt_type,
+        userId: job.user_id,
+      },
+      (step, label) => updateJob(job.id, { current_step: step, step_label: label })
+    );
+    
+    await updateJob(job.id, {
+      status: 'completed',
+      analysis_id: analysis.id,
+      error: null,
+      finished_at: new Date().toISOString(),
+    });
+    
+    console.log(`Analysis job ${job.id} completed`);
+  } catch (error) {
+    console.error(`Analysis job ${job.id} failed:`, error.message);
+    
+    await updateJob(job.id, {
+      status: 'failed',
+      error: error.message,
+      finished_at: new Date().toISOString(),
+    });
+  }
+}
+
+async function processJobQueue() {
+  // Jobs queued from the stdio MCP server are picked up by the API server's workers
+  if (MCP_STDIO) return;
+  
+  while (activeJobs < JOB_CONCURRENCY) {
+    // Reserve the slot before claiming so overlapping calls cannot overshoot the limit
+    activeJobs++;
+    
+    let job = null;
+    try {
+      job = await claimNextJob();
+    } catch (error) {
+      console.error('Error processing job queue:', error.message);
+    }
+    
+    if (!job) {
+      releaseJobSlot();
+      return;
+    }
+    
+    executeJob(job).finally(() => {
+      releaseJobSlot();
+      processJobQueue();
+    });
+  }
+}
 
-      let hasMore = true;
-      let nextPageUrl = null;
+// Jobs left "running" by a previous process were interrupted by a restart
+async function recoverInterruptedJobs() {
+  const { data: interrupted, error } = await supabase
+    .from('analysis_jobs')
+    .select('*')
+    .eq('status', 'running');
+  
+  if (error) {
+    console.error('Error recovering jobs:', error.message);
+    return;
+  }
+  
+  for (const job of interrupted || []) {
+    if ((job.attempts || 0) >= JOB_MAX_ATTEMPTS) {
+      await updateJob(job.id, {
+        status: 'failed',
+        error: `Interrupted after ${job.attempts} attempts`,
+        finished_at: new Date().toISOString(),
+      });
+    } else {
+      await updateJob(job.id, { status: 'queued', current_step: 0, step_label: null });
+    }
+  }
+  
+  if (interrupted?.length > 0) {
+    console.log(`Recovered ${interrupted.length} interrupted analysis jobs`);
+  }
+}
 
-      while (hasMore && allOpportunities.length < 1000) {
-        const searchParams = {
-          location_id: HIGHLEVEL_LOCATION_ID,
-          limit: 100,
-        };
-        
-        if (status && status !== 'all') {
-          searchParams.status = status;
-        }
-        
-        const url = nextPageUrl || 'https://services.leadconnectorhq.com/opportunities/search';
-        
-        const response = await axios.get(url, {
-          headers: {
-            Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-            Version: '2021-07-28',
-          },
-          params: nextPageUrl ? {} : searchParams,
-        });
-        
-        const opportunities = response.data.opportunities || [];
-        
-        if (opportunities.length === 0) break;
-        
-        allOpportunities.push(...opportunities);
-        
-        console.log(`Fetched ${opportunities.length} opportunities (total: ${allOpportunities.length})`);
-        
-        const currentUrl = url;
-        nextPageUrl = response.data.meta?.nextPageUrl || null;
-        hasMore = nextPageUrl !== null && nextPageUrl !== currentUrl;
+function formatBatchResults(batch, jobs) {
+  const results = [
+    ...(batch.skipped || []).map(item => ({
+      contactId: item.contactId,
+      status: 'skipped',
+      reason: item.reason,
+      analysisId: item.analysisId || null,
+      jobId: null,
+      error: null,
+    })),
+    ...jobs.map(job => ({
+      contactId: job.contact_id,
+      status: job.status,
+      reason: null,
+      analysisId: job.analysis_id,
+      jobId: job.id,
+      error: job.error,
+    })),
+  ];
+  
+  const summary = {
+    total: results.length,
+    skipped: 0,
+    queued: 0,
+    running: 0,
+    completed: 0,
+    failed: 0,
+  };
+  
+  for (const result of results) {
+    summary[result.status] = (summary[result.status] || 0) + 1;
+  }
+  
+  return {
+    id: batch.id,
+    status: batch.status,
+    promptId: batch.prompt_id,
+    promptType: batch.prompt_type,
+    filters: batch.filters,
+    concurrency: batch.concurrency,
+    summary,
+    results,
+    createdAt: batch.created_at,
+    finishedAt: batch.finished_at,
+  };
+}
+
+async function getBatchJobs(batchId) {
+  const { data: jobs, error } = await supabase
+    .from('analysis_jobs')
+    .select('*')
+    .eq('batch_id', batchId)
+    .order('created_at', { ascending: true });
+  
+  if (error) throw error;
+  return jobs;
+}
+
+async function runBatch(batch) {
+  console.log(`Running batch ${batch.id} with concurrency ${batch.concurrency}`);
+  
+  const workers = Array.from({ length: batch.concurrency }, async () => {
+    for (;;) {
+      await acquireJobSlot();
+      
+      try {
+        const job = await claimNextJob(batch.id);
+        if (!job) return;
         
-        if (pipelineId && pipelineId !== 'all') {
-          const filtered = allOpportunities.filter(opp => opp.pipelineId === pipelineId);
-          if (filtered.length >= parseInt(limit) * 2) {
-            console.log('Early exit: found enough opportunities for pipeline');
-            break;
-          }
-        }
+        await executeJob(job);
+      } finally {
+        releaseJobSlot();
+        processJobQueue();
       }
+    }
+  });
+  
+  try {
+    await Promise.all(workers);
+    
+    const { summary } = formatBatchResults(batch, await getBatchJobs(batch.id));
+    
+    await supabase
+      .from('analysis_batches')
+      .update({
+        status: 'completed',
+        summary,
+        finished_at: new Date().toISOString(),
+      })
+      .eq('id', batch.id);
+    
+    console.log(`Batch ${batch.id} finished: ${summary.completed} completed, ${summary.failed} failed, ${summary.skipped} skipped`);
+  } catch (error) {
+    console.error(`Batch ${batch.id} failed:`, error.message);
+    
+    await supabase
+      .from('analysis_batches')
+      .update({ status: 'failed', finished_at: new Date().toISOString() })
+      .eq('id', batch.id);
+  }
+}
 
-      console.log(`Got ${allOpportunities.length} total opportunities`);
+async function resumeInterruptedBatches() {
+  const { data: batches, error } = await supabase
+    .from('analysis_batches')
+    .select('*')
+    .eq('status', 'running');
+  
+  if (error) {
+    console.error('Error resuming batches:', error.message);
+    return;
+  }
+  
+  for (const batch of batches || []) {
+    console.log(`Resuming batch ${batch.id}`);
+    runBatch(batch);
+  }
+}
 
-      if (pipelineId && pipelineId !== 'all') {
-        allOpportunities = allOpportunities.filter(opp => opp.pipelineId === pipelineId);
-        console.log(`After pipeline filter: ${allOpportunities.length} opportunities`);
-      }
+api.post('/analyze-contact', requireRole('auditor'), async (req, res) => {
+  try {
+    const { locationId } = req.location;
+    const { 
+      contactId,
+      promptId,
+      promptType = 'setter',
+      includeWhatsApp = true,
+      includeSMS = true,
+      includeCalls = true,
+      forceTranscription = false,
+      dateFrom,
+      dateTo,
+      wait = false,
+    } = req.body;
+    
+    if (!contactId) {
+      return res.status(400).json({
+        success: false,
+        error: 'contactId is required'
+      });
+    }
+    
+    const prompt = await loadAnalysisPrompt(locationId, { promptId, promptType });
+    
+    if (!prompt) {
+      return res.status(400).json({
+        success: false,
+        error: `No active ${promptType} prompt found. Please create a prompt first.`
+      });
+    }
+    
+    // Legacy synchronous mode, kept for clients that still expect the analysis inline
+    if (wait) {
+      const savedAnalysis = await runContactAnalysis(req.location, {
+        contactId,
+        promptId: prompt.id,
+        promptType: prompt.prompt_type,
+        includeWhatsApp,
+        includeSMS,
+        includeCalls,
+        forceTranscription,
+        dateFrom,
+        dateTo,
+        userId: req.user?.id,
+      });
+      
+      return res.json({
+        success: true,
+        analysis: formatAnalysis(savedAnalysis),
+      });
+    }
+    
+    const job = await enqueueAnalysisJob({
+      locationId,
+      contactId,
+      prompt,
+      includeWhatsApp,
+      includeSMS,
+      includeCalls,
+      forceTranscription,
+      dateFrom,
+      dateTo,
+      userId: req.user?.id,
+    });
+    
+    res.status(202).json({
+      success: true,
+      job: formatJob(job),
+      message: `Analysis queued. Poll /api/jobs/${job.id} for progress.`
+    });
+    
+  } catch (error) {
+    console.error('Analysis error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+    });
+  }
+});
 
-      if (pipelineStageId && pipelineStageId !== 'all') {
-        allOpportunities = allOpportunities.filter(opp => opp.pipelineStageId === pipelineStageId);
-        console.log(`After stage filter: ${allOpportunities.length} opportunities`);
-      }
+api.post('/analyses/bulk', requireRole('auditor'), async (req, res) => {
+  try {
+    const { locationId } = req.location;
+    const {
+      pipelineId,
+      pipelineStageId,
+      status,
+      promptId,
+      promptType = 'setter',
+      concurrency = 3,
+      force = false,
+      limit = 500,
+    } = req.body;
+    
+    const batchConcurrency = parseInt(concurrency);
+    
+    if (Number.isNaN(batchConcurrency) || batchConcurrency < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'concurrency must be a positive integer'
+      });
+    }
+    
+    const prompt = await loadAnalysisPrompt(locationId, { promptId, promptType });
+    
+    if (!prompt) {
+      return res.status(400).json({
+        success: false,
+        error: `No active ${promptType} prompt found. Please create a prompt first.`
+      });
+    }
+    
+    let oppQuery = supabase
+      .from('opportunities_cache')
+      .select('contact_id')
+      .eq('location_id', locationId);
+    
+    if (pipelineId && pipelineId !== 'all') {
+      oppQuery = oppQuery.eq('pipeline_id', pipelineId);
+    }
+    
+    if (pipelineStageId && pipelineStageId !== 'all') {
+      oppQuery = oppQuery.eq('pipeline_stage_id', pipelineStageId);
+    }
+    
+    if (status && status !== 'all') {
+      oppQuery = oppQuery.eq('status', status);
+    }
+    
+    const { data: opps, error: oppError } = await oppQuery.limit(parseInt(limit));
+    
+    if (oppError) throw oppError;
+    
+    const contactIds = [...new Set(
+      opps.map(opp => opp.contact_id).filter(id => id && id !== 'unknown')
+    )];
+    
+    if (contactIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No cached opportunities match these filters. Refresh /api/opportunities first.'
+      });
+    }
+    
+    // A contact is up to date when it already has an analysis from this exact prompt version
+    // and no new messages arrived since (see the HighLevel webhook)
+    let upToDate = new Map();
+    if (!force) {
+      const { data: existing, error: existingError } = await supabase
+        .from('analyses')
+        .select('id, contact_id')
+        .eq('location_id', locationId)
+        .eq('prompt_id', prompt.id)
+        .in('contact_id', contactIds);
       
-    } catch (searchError) {
-      console.error('Error fetching opportunities:', searchError.message);
+      if (existingError) throw existingError;
       
-      console.log('Trying pipeline-by-pipeline fallback...');
-      allOpportunities = [];
+      const { data: staleContacts, error: staleError } = await supabase
+        .from('contacts_cache')
+        .select('contact_id')
+        .eq('location_id', locationId)
+        .eq('analysis_stale', true)
+        .in('contact_id', contactIds);
       
-      for (const pipeline of pipelines) {
-        try {
-          const oppUrl = `https://services.leadconnectorhq.com/opportunities/pipelines/${pipeline.id}`;
-          
-          const oppResponse = await axios.get(oppUrl, {
-            headers: {
-              Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-              Version: '2021-07-28',
-            },
-          });
-          
-          const pipelineData = oppResponse.data.pipeline || oppResponse.data;
-          let opportunities = [];
-          
-          if (pipelineData.opportunities) {
-            opportunities = pipelineData.opportunities;
-          } else if (pipelineData.stages) {
-            pipelineData.stages.forEach(stage => {
-              if (stage.opportunities) {
-                opportunities.push(...stage.opportunities);
-              }
-            });
-          }
-          
-          opportunities = opportunities.map(opp => ({
-            ...opp,
-            pipelineName: pipeline.name,
-            pipelineId: pipeline.id,
-          }));
-          
-          allOpportunities.push(...opportunities);
-          
-        } catch (pipelineError) {
-          console.error(`Error getting opportunities for ${pipeline.name}:`, pipelineError.message);
-        }
-      }
+      if (staleError) throw staleError;
+      
+      const stale = new Set(staleContacts.map(c => c.contact_id));
+      
+      upToDate = new Map(
+        existing
+          .filter(a => !stale.has(a.contact_id))
+          .map(a => [a.contact_id, a.id])
+      );
     }
     
-    console.log(`Total opportunities found: ${allOpportunities.length}`);
+    const skipped = contactIds
+      .filter(id => upToDate.has(id))
+      .map(id => ({
+        contactId: id,
+        reason: `Already analyzed with ${prompt.prompt_type} prompt v${prompt.version}`,
+        analysisId: upToDate.get(id),
+      }));
     
-    const limitedOpps = allOpportunities.slice(0, parseInt(limit));
+    const toAnalyze = contactIds.filter(id => !upToDate.has(id));
     
-    // Enrich with contact data
-    const enrichedOpportunities = [];
-    const batchSize = 3;
+    const { data: batch, error: batchError } = await supabase
+      .from('analysis_batches')
+      .insert({
+        location_id: locationId,
+        prompt_id: prompt.id,
+        prompt_type: prompt.prompt_type,
+        filters: { pipelineId, pipelineStageId, status },
+        concurrency: Math.min(batchConcurrency, 10),
+        status: toAnalyze.length > 0 ? 'running' : 'completed',
+        skipped,
+        created_by: req.user?.id || null,
+        finished_at: toAnalyze.length > 0 ? null : new Date().toISOString(),
+      })
+      .select()
+      .single();
     
-    for (let i = 0; i < limitedOpps.length; i += batchSize) {
-      const batch = limitedOpps.slice(i, i + batchSize);
+    if (batchError) throw batchError;
+    
+    let jobs = [];
+    if (toAnalyze.length > 0) {
+      const { data: insertedJobs, error: jobsError } = await supabase
+        .from('analysis_jobs')
+        .insert(toAnalyze.map(contactId => ({
+          location_id: locationId,
+          contact_id: contactId,
+          prompt_id: prompt.id,
+          prompt_type: prompt.prompt_type,
+          options: { includeWhatsApp: true, includeSMS: true, includeCalls: true },
+          status: 'queued',
+          current_step: 0,
+          attempts: 0,
+          batch_id: batch.id,
+          user_id: req.user?.id || null,
+        })))
+        .select();
       
-      const batchResults = await Promise.all(
-        batch.map(async (opp) => {
-          try {
-            let contactData = opp.contact || {};
-            
-            if (!contactData.email || !contactData.phone) {
-              const contactId = opp.contactId || opp.contact?.id;
-              if (!contactId) {
-                throw new Error('No contact ID found');
-              }
-              
-              const contactResponse = await axios.get(
-                `https://services.leadconnectorhq.com/contacts/${contactId}`,
-                {
-                  headers: {
-                    Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-                    Version: '2021-07-28',
-                  },
-                }
-              );
-              
-              const contact = contactResponse.data.contact;
-              contactData = {
-                id: contact.id,
-                name: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
-                email: contact.email,
-                phone: contact.phone,
-              };
-            } else {
-              contactData = {
-                id: contactData.id,
-                name: contactData.name || `${contactData.firstName || ''} ${contactData.lastName || ''}`.trim(),
-                email: contactData.email,
-                phone: contactData.phone,
-              };
-            }
-            
-            const { data: analysis } = await supabase
-              .from('analyses')
-              .select('id')
-              .eq('contact_id', contactData.id)
-              .limit(1)
-              .single();
-            
-            return {
-              id: opp.id,
-              name: opp.name || opp.title || 'Untitled',
-              pipelineId: opp.pipelineId,
-              pipelineName: opp.pipelineName || pipelines.find(p => p.id === opp.pipelineId)?.name,
-              pipelineStageId: opp.pipelineStageId || opp.stageId,
-              status: opp.status,
-              monetaryValue: opp.monetaryValue || opp.value,
-              assignedTo: opp.assignedTo,
-              contact: contactData,
-              hasAnalysis: !!analysis,
-              createdAt: opp.createdAt || opp.dateAdded,
-              lastStatusChangeAt: opp.lastStatusChangeAt || opp.lastUpdated,
-            };
-          } catch (err) {
-            console.error(`Error enriching opportunity ${opp.id}:`, err.message);
-            return {
-              id: opp.id,
-              name: opp.name || 'Unknown',
-              pipelineId: opp.pipelineId,
-              status: opp.status,
-              contact: {
-                id: opp.contactId || opp.contact?.id || 'unknown',
-                name: 'Unknown',
-                email: null,
-                phone: null,
-              },
-              hasAnalysis: false,
-            };
-          }
-        })
-      );
+      if (jobsError) throw jobsError;
+      jobs = insertedJobs;
       
-      enrichedOpportunities.push(...batchResults);
+      runBatch(batch);
     }
     
-    // Save to cache
-    console.log('Saving to cache...');
-    const cacheData = enrichedOpportunities.map(opp => ({
-      opportunity_id: opp.id,
-      pipeline_id: opp.pipelineId,
-      pipeline_name: opp.pipelineName,
-      contact_id: opp.contact.id,
-      contact_name: opp.contact.name,
-      contact_email: opp.contact.email,
-      contact_phone: opp.contact.phone,
-      name: opp.name,
-      status: opp.status,
-      monetary_value: opp.monetaryValue,
-      pipeline_stage_id: opp.pipelineStageId,
-      has_analysis: opp.hasAnalysis,
-      data: {
-        createdAt: opp.createdAt,
-        lastStatusChangeAt: opp.lastStatusChangeAt,
-        assignedTo: opp.assignedTo,
-      },
-      last_synced: new Date().toISOString(),
-    }));
+    console.log(`Batch ${batch.id}: ${toAnalyze.length} contacts queued, ${skipped.length} skipped`);
     
-    if (cacheData.length > 0) {
-      const { error: cacheInsertError } = await supabase
-        .from('opportunities_cache')
-        .upsert(cacheData, { onConflict: 'opportunity_id' });
-      
-      if (cacheInsertError) {
-        console.error('Error saving to cache:', cacheInsertError.message);
-      } else {
-        console.log(`Cached ${cacheData.length} opportunities`);
-      }
+    res.status(202).json({
+      success: true,
+      batch: formatBatchResults(batch, jobs),
+      message: `Batch queued. Poll /api/batches/${batch.id} for progress.`
+    });
+    
+  } catch (error) {
+    console.error('Error starting bulk analysis:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.get('/batches/:id', async (req, res) => {
+  try {
+    const { locationId } = req.location;
+    const { data: batch, error } = await supabase
+      .from('analysis_batches')
+      .select('*')
+      .eq('location_id', locationId)
+      .eq('id', req.params.id)
+      .maybeSingle();
+    
+    if (error) throw error;
+    
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
     }
     
     res.json({
       success: true,
-      opportunities: enrichedOpportunities,
-      total: allOpportunities.length,
-      returned: enrichedOpportunities.length,
-      cached: false,
-      synced: new Date().toISOString(),
+      batch: formatBatchResults(batch, await getBatchJobs(batch.id)),
+    });
+  } catch (error) {
+    console.error('Error getting batch:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.get('/jobs', async (req, res) => {
+  try {
+    const { locationId } = req.location;
+    const { contactId, status, limit = 50 } = req.query;
+    
+    let query = supabase
+      .from('analysis_jobs')
+      .select('*')
+      .eq('location_id', locationId)
+      .order('created_at', { ascending: false });
+    
+    if (contactId) query = query.eq('contact_id', contactId);
+    if (status) query = query.eq('status', status);
+    
+    const { data: jobs, error } = await query.limit(parseInt(limit));
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      jobs: jobs.map(formatJob),
+      total: jobs.length,
+    });
+  } catch (error) {
+    console.error('Error getting jobs:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.get('/jobs/:id', async (req, res) => {
+  try {
+    const { locationId } = req.location;
+    const { data: job, error } = await supabase
+      .from('analysis_jobs')
+      .select('*')
+      .eq('location_id', locationId)
+      .eq('id', req.params.id)
+      .maybeSingle();
+    
+    if (error) throw error;
+    
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      job: formatJob(job),
+    });
+  } catch (error) {
+    console.error('Error getting job:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
     });
+  }
+});
+
+api.get('/analyses/:contactId/latest', async (req, res) => {
+  try {
+    const { locationId } = req.location;
+    const { data, error } = await supabase
+      .from('analyses')
+      .select('*')
+      .eq('location_id', locationId)
+      .eq('contact_id', req.params.contactId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .single();
+    
+    if (error && error.code !== 'PGRST116') throw error;
     
+    res.json({
+      success: true,
+      analysis: data ? formatAnalysis(data) : null,
+      message: data ? null : 'No analysis found for this contact'
+    });
   } catch (error) {
-    console.error('Error getting opportunities:', error.message);
-    console.error('Full error:', error.response?.data || error);
+    console.error('Error getting latest analysis:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
-      details: error.response?.data || null,
     });
   }
 });
-app.get('/api/opportunities/:opportunityId', async (req, res) => {
+
+
+api.get('/analyses/:contactId/types', async (req, res) => {
   try {
-    const response = await axios.get(
-      `https://services.leadconnectorhq.com/opportunities/${req.params.opportunityId}`,
-      {
-        headers: {
-          Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-          Version: '2021-07-28',
-        },
-      }
-    );
+    const { locationId } = req.location;
+    const { data: analyses, error } = await supabase
+      .from('analyses')
+      .select('prompt_type')
+      .eq('location_id', locationId)
+      .eq('contact_id', req.params.contactId);
     
-    const opp = response.data.opportunity;
+    if (error) throw error;
     
-    const contactResponse = await axios.get(
-      `https://services.leadconnectorhq.com/contacts/${opp.contact.id}`,
-      {
-        headers: {
-          Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-          Version: '2021-07-28',
-        },
-      }
-    );
+    const byType = {};
+    for (const a of analyses) {
+      byType[a.prompt_type] = (byType[a.prompt_type] || 0) + 1;
+    }
     
-    const contact = contactResponse.data.contact;
+    const types = {
+      types: Object.keys(byType),
+      byType,
+      hasSetter: Boolean(byType.setter),
+      hasCloser: Boolean(byType.closer),
+      total: analyses.length,
+    };
     
     res.json({
       success: true,
-      opportunity: {
-        id: opp.id,
-        name: opp.name,
-        pipelineId: opp.pipelineId,
-        pipelineStageId: opp.pipelineStageId,
-        status: opp.status,
-        monetaryValue: opp.monetaryValue,
-        assignedTo: opp.assignedTo,
-        contact: {
-          id: contact.id,
-          name: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(),
-          email: contact.email,
-          phone: contact.phone,
-          tags: contact.tags,
-        },
-        createdAt: opp.createdAt,
-        lastStatusChangeAt: opp.lastStatusChangeAt,
-      }
+      ...types,
     });
   } catch (error) {
-    console.error('Error getting opportunity:', error.message);
+    console.error('Error checking analysis types:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -673,56 +4953,25 @@ app.get('/api/opportunities/:opportunityId', async (req, res) => {
   }
 });
 
-app.post('/api/transcribe', async (req, res) => {
+api.get('/analyses/:contactId', async (req, res) => {
   try {
-    const { messageId, language = 'es' } = req.body;
-    
-    if (!messageId) {
-      return res.status(400).json({
-        success: false,
-        error: 'messageId is required'
-      });
-    }
-    
-    console.log(`Transcribing message: ${messageId}`);
-    
-    const recordingUrl = `https://services.leadconnectorhq.com/conversations/messages/${messageId}/locations/${HIGHLEVEL_LOCATION_ID}/recording`;
-    
-    const audioResponse = await axios.get(recordingUrl, {
-      headers: {
-        Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-        Version: '2021-07-28',
-      },
-      responseType: 'arraybuffer',
-      maxContentLength: 25 * 1024 * 1024,
-      timeout: 90000,
-    });
-    
-    console.log(`Audio downloaded: ${(audioResponse.data.length / (1024 * 1024)).toFixed(2)}MB`);
-    
-    const audioBuffer = Buffer.from(audioResponse.data);
-    const audioFile = new File([audioBuffer], 'recording.mp3', { type: 'audio/mpeg' });
-    
-    const transcription = await openai.audio.transcriptions.create({
-      file: audioFile,
-      model: 'whisper-1',
-      language: language,
-      response_format: 'verbose_json',
-    });
+    const { locationId } = req.location;
+    const { data: analyses, error } = await supabase
+      .from('analyses')
+      .select('*')
+      .eq('location_id', locationId)
+      .eq('contact_id', req.params.contactId)
+      .order('created_at', { ascending: false });
     
-    console.log('Transcription completed');
+    if (error) throw error;
     
     res.json({
       success: true,
-      messageId,
-      transcription: transcription.text,
-      language: transcription.language,
-      duration: transcription.duration,
-      segments: transcription.segments,
+      analyses: analyses.map(formatAnalysis),
+      total: analyses.length,
     });
-    
   } catch (error) {
-    console.error('Transcription error:', error.message);
+    console.error('Error getting analyses:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -730,61 +4979,41 @@ app.post('/api/transcribe', async (req, res) => {
   }
 });
 
-app.get('/api/prompts/history', async (req, res) => {
+api.post('/analyses/:contactId/reanalyze', requireRole('auditor'), async (req, res) => {
   try {
-    const { type } = req.query;
+    const { locationId } = req.location;
+    const { promptId, promptType = 'setter', forceTranscription = false, dateFrom, dateTo } = req.body;
     
-    let query = supabase
-      .from('prompts')
-      .select('*')
-      .order('version', { ascending: false });
+    const prompt = await loadAnalysisPrompt(locationId, { promptId, promptType });
     
-    if (type) {
-      query = query.eq('prompt_type', type);
+    if (!prompt) {
+      return res.status(400).json({
+        success: false,
+        error: `No active ${promptType} prompt found. Please create a prompt first.`
+      });
     }
     
-    const { data: prompts, error } = await query;
-    
-    if (error) throw error;
-    
-    const activeSetter = prompts.find(p => p.is_active && p.prompt_type === 'setter');
-    const activeCloser = prompts.find(p => p.is_active && p.prompt_type === 'closer');
+    const job = await enqueueAnalysisJob({
+      locationId,
+      contactId: req.params.contactId,
+      prompt,
+      includeWhatsApp: true,
+      includeSMS: true,
+      includeCalls: true,
+      forceTranscription,
+      dateFrom,
+      dateTo,
+      userId: req.user?.id,
+    });
     
-    res.json({
+    res.status(202).json({
       success: true,
-      prompts: prompts.map(p => ({
-        id: p.id,
-        version: p.version,
-        content: p.content,
-        settings: p.settings,
-        createdAt: p.created_at,
-        createdBy: p.created_by,
-        isActive: p.is_active,
-        promptType: p.prompt_type,
-      })),
-      activeSetter: activeSetter ? {
-        id: activeSetter.id,
-        version: activeSetter.version,
-        content: activeSetter.content,
-        settings: activeSetter.settings,
-        createdAt: activeSetter.created_at,
-        createdBy: activeSetter.created_by,
-        isActive: activeSetter.is_active,
-        promptType: activeSetter.prompt_type,
-      } : null,
-      activeCloser: activeCloser ? {
-        id: activeCloser.id,
-        version: activeCloser.version,
-        content: activeCloser.content,
-        settings: activeCloser.settings,
-        createdAt: activeCloser.created_at,
-        createdBy: activeCloser.created_by,
-        isActive: activeCloser.is_active,
-        promptType: activeCloser.prompt_type,
-      } : null,
+      job: formatJob(job),
+      message: `Reanalysis queued. Poll /api/jobs/${job.id} for progress.`
     });
+    
   } catch (error) {
-    console.error('Error getting prompts:', error.message);
+    console.error('Error reanalyzing contact:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -792,35 +5021,45 @@ app.get('/api/prompts/history', async (req, res) => {
   }
 });
 
-app.get('/api/prompts/active', async (req, res) => {
+async function loadAnalysisSnapshot(locationId, analysisId) {
+  const { data: snapshot, error } = await supabase
+    .from('analysis_snapshots')
+    .select('*')
+    .eq('location_id', locationId)
+    .eq('analysis_id', analysisId)
+    .maybeSingle();
+  
+  if (error) throw error;
+  return snapshot;
+}
+
+api.get('/snapshots/:analysisId', async (req, res) => {
   try {
-    const { type = 'setter' } = req.query;
-    
-    const { data, error } = await supabase
-      .from('prompts')
-      .select('*')
-      .eq('is_active', true)
-      .eq('prompt_type', type)
-      .single();
+    const snapshot = await loadAnalysisSnapshot(req.location.locationId, req.params.analysisId);
     
-    if (error && error.code !== 'PGRST116') throw error;
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'No snapshot stored for this analysis'
+      });
+    }
     
     res.json({
       success: true,
-      prompt: data ? {
-        id: data.id,
-        version: data.version,
-        content: data.content,
-        settings: data.settings,
-        createdAt: data.created_at,
-        createdBy: data.created_by,
-        isActive: data.is_active,
-        promptType: data.prompt_type,
-      } : null,
-      message: data ? null : `No active ${type} prompt set`
+      snapshot: {
+        analysisId: snapshot.analysis_id,
+        contactId: snapshot.contact_id,
+        contact: snapshot.contact,
+        messages: snapshot.messages,
+        prompt: snapshot.prompt,
+        renderedPrompt: snapshot.rendered_prompt,
+        fullContext: snapshot.full_context,
+        options: snapshot.options,
+        createdAt: snapshot.created_at,
+      },
     });
   } catch (error) {
-    console.error('Error getting active prompt:', error.message);
+    console.error('Error getting snapshot:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -828,78 +5067,383 @@ app.get('/api/prompts/active', async (req, res) => {
   }
 });
 
-app.post('/api/prompts', async (req, res) => {
+// Replays a stored snapshot through any prompt version. Nothing is fetched from HighLevel
+// and nothing is saved, so it is safe for disputes and prompt experiments.
+async function rerunAnalysisSnapshot(locationId, analysisId, promptId) {
+  const snapshot = await loadAnalysisSnapshot(locationId, analysisId);
+  if (!snapshot) throw new Error('No snapshot stored for this analysis');
+  
+  const prompt = await loadAnalysisPrompt(locationId, { promptId });
+  if (!prompt) throw new Error('Prompt not found');
+  
+  const { data: original, error: originalError } = await supabase
+    .from('analyses')
+    .select('*')
+    .eq('location_id', locationId)
+    .eq('id', analysisId)
+    .maybeSingle();
+  
+  if (originalError) throw originalError;
+  
+  const { fullContext, renderedPrompt } = await prepareAnalysisInput(locationId, prompt, {
+    contact: snapshot.contact,
+    messages: snapshot.messages,
+    customFields: snapshot.custom_fields || {},
+    opportunity: snapshot.opportunity,
+  });
+  
+  const { analysisText, structuredOutput, structuredOutputErrors } = await requestAnalysis(prompt, renderedPrompt);
+  
+  return {
+    rerun: {
+      promptId: prompt.id,
+      promptVersion: prompt.version,
+      promptType: prompt.prompt_type,
+      analysisText,
+      structuredOutput,
+      structuredOutputErrors,
+      verdict: structuredOutput?.verdict ?? null,
+      overallScore: structuredOutput?.overallScore ?? null,
+      contextMatchesOriginal: fullContext === snapshot.full_context,
+    },
+    original: original ? {
+      id: original.id,
+      promptId: original.prompt_id,
+      promptVersion: original.prompt_version,
+      verdict: original.verdict,
+      overallScore: original.overall_score,
+      analysisText: original.analysis_text,
+      createdAt: original.created_at,
+    } : null,
+  };
+}
+
+api.post('/snapshots/:analysisId/rerun', requireRole('auditor'), async (req, res) => {
   try {
-    const { content, settings, createdBy, promptType = 'setter' } = req.body;
+    const { locationId } = req.location;
+    const { promptId, promptType } = req.body;
     
-    if (!content) {
-      return res.status(400).json({
+    const snapshot = await loadAnalysisSnapshot(locationId, req.params.analysisId);
+    
+    if (!snapshot) {
+      return res.status(404).json({
         success: false,
-        error: 'content is required'
+        error: 'No snapshot stored for this analysis'
       });
     }
     
-    if (!['setter', 'closer'].includes(promptType)) {
+    const prompt = await loadAnalysisPrompt(locationId, {
+      promptId: promptId || (promptType ? undefined : snapshot.prompt.id),
+      promptType: promptType || snapshot.prompt.promptType,
+    });
+    
+    if (!prompt) {
       return res.status(400).json({
         success: false,
-        error: 'promptType must be either "setter" or "closer"'
+        error: 'Prompt not found'
       });
     }
     
-    const { data: maxData } = await supabase
-      .from('prompts')
-      .select('version')
-      .eq('prompt_type', promptType)
-      .order('version', { ascending: false })
-      .limit(1)
-      .single();
+    const job = await enqueueAnalysisJob({
+      locationId,
+      contactId: snapshot.contact_id,
+      prompt,
+      userId: req.user?.id,
+      snapshotAnalysisId: snapshot.analysis_id,
+    });
     
-    const nextVersion = (maxData?.version || 0) + 1;
+    res.status(202).json({
+      success: true,
+      job: formatJob(job),
+      message: `Rerun queued. Poll /api/jobs/${job.id} for the result.`
+    });
+  } catch (error) {
+    console.error('Error re-running snapshot:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+const EVAL_CONCURRENCY = parseInt(process.env.EVAL_CONCURRENCY || '2');
+const ANALYSIS_VERDICTS = ['pass', 'needs_improvement', 'fail'];
+
+function formatEvalSet(set) {
+  return {
+    id: set.id,
+    name: set.name,
+    promptType: set.prompt_type,
+    description: set.description,
+    createdBy: set.created_by,
+    createdAt: set.created_at,
+  };
+}
+
+function formatEvalCase(evalCase) {
+  return {
+    id: evalCase.id,
+    contactId: evalCase.contact_id,
+    contactName: evalCase.contact_name,
+    expectedVerdict: evalCase.expected_verdict,
+    expectedScore: evalCase.expected_score,
+    notes: evalCase.notes,
+    messageCount: evalCase.snapshot?.messages?.length ?? 0,
+    capturedAt: evalCase.snapshot?.capturedAt,
+    createdAt: evalCase.created_at,
+  };
+}
+
+function formatEvalRun(run) {
+  return {
+    id: run.id,
+    setId: run.set_id,
+    promptIds: run.prompt_ids,
+    status: run.status,
+    progress: {
+      completed: run.completed_count,
+      total: run.total_count,
+    },
+    error: run.error,
+    report: run.report,
+    createdBy: run.created_by,
+    createdAt: run.created_at,
+    finishedAt: run.finished_at,
+  };
+}
+
+async function updateEvalRun(runId, fields) {
+  const { error } = await supabase
+    .from('eval_runs')
+    .update(fields)
+    .eq('id', runId);
+  
+  if (error) console.error(`Error updating eval run ${runId}:`, error.message);
+}
+
+// Cases are frozen with every channel included, so each prompt version sees the exact same input
+// Calls are transcribed with the prompt's language and provider, so golden sets score the same
+// transcripts production analyses do and never send audio to a provider the prompt rules out
+async function captureContactSnapshot(location, contactId, prompt, { dateFrom, dateTo } = {}) {
+  const { contact, allMessages, customFields, opportunity } = await collectContactData(location, {
+    contactId,
+    dateFrom,
+    dateTo,
+    language: prompt.settings.language || 'es',
+    transcriptionProvider: prompt.settings.transcriptionProvider,
+  });
+  
+  return {
+    contact,
+    messages: allMessages,
+    customFields,
+    opportunity,
+    dateFrom: dateFrom || null,
+    dateTo: dateTo || null,
+    capturedAt: new Date().toISOString(),
+  };
+}
+
+function mean(values) {
+  if (values.length === 0) return null;
+  return Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 100) / 100;
+}
+
+// The first prompt of the run is the baseline the others are compared against
+function buildEvalReport(cases, prompts, results) {
+  const resultFor = (caseId, promptId) => results.find(r => r.case_id === caseId && r.prompt_id === promptId);
+  const baseline = prompts[0];
+  
+  const scoreDelta = (evalCase, prompt) => {
+    const candidate = resultFor(evalCase.id, prompt.id)?.overall_score;
+    const base = resultFor(evalCase.id, baseline.id)?.overall_score;
+    if (prompt.id === baseline.id || candidate == null || base == null) return null;
+    return Math.round((candidate - base) * 100) / 100;
+  };
+  
+  const promptReports = prompts.map(prompt => {
+    const rows = cases
+      .map(evalCase => ({ evalCase, result: resultFor(evalCase.id, prompt.id) }))
+      .filter(row => row.result && !row.result.error);
     
-    await supabase
-      .from('prompts')
-      .update({ is_active: false })
-      .eq('is_active', true)
-      .eq('prompt_type', promptType);
+    const verdictRows = rows.filter(row => row.evalCase.expected_verdict && row.result.verdict);
+    const verdictMatches = verdictRows.filter(row => row.result.verdict === row.evalCase.expected_verdict).length;
+    const scoreRows = rows.filter(row => row.evalCase.expected_score != null && row.result.overall_score != null);
     
-    const { data: newPrompt, error } = await supabase
-      .from('prompts')
-      .insert({
-        version: nextVersion,
-        content,
-        settings: settings || {
-          includeContactInfo: true,
-          includeWhatsApp: true,
-          includeSMS: true,
-          includeCalls: true,
-          model: 'claude-sonnet-4-5-20250929',
-          language: 'es'
-        },
-        created_by: createdBy || 'user',
-        is_active: true,
-        prompt_type: promptType,
-      })
-      .select()
-      .single();
+    return {
+      promptId: prompt.id,
+      version: prompt.version,
+      baseline: prompt.id === baseline.id,
+      completed: rows.length,
+      errors: cases.length - rows.length,
+      verdictAgreement: verdictRows.length > 0 ? Math.round((verdictMatches / verdictRows.length) * 100) / 100 : null,
+      verdictMatches,
+      verdictCompared: verdictRows.length,
+      meanScore: mean(rows.map(row => row.result.overall_score).filter(v => v != null)),
+      meanAbsoluteScoreError: mean(scoreRows.map(row => Math.abs(row.result.overall_score - row.evalCase.expected_score))),
+      meanScoreDeltaVsBaseline: prompt.id === baseline.id
+        ? null
+        : mean(cases.map(evalCase => scoreDelta(evalCase, prompt)).filter(v => v != null)),
+    };
+  });
+  
+  const caseReports = cases.map(evalCase => {
+    const baselineText = resultFor(evalCase.id, baseline.id)?.analysis_text || '';
+    
+    return {
+      caseId: evalCase.id,
+      contactId: evalCase.contact_id,
+      contactName: evalCase.contact_name,
+      expectedVerdict: evalCase.expected_verdict,
+      expectedScore: evalCase.expected_score,
+      outputs: prompts.map(prompt => {
+        const result = resultFor(evalCase.id, prompt.id);
+        
+        return {
+          promptId: prompt.id,
+          version: prompt.version,
+          verdict: result?.verdict ?? null,
+          overallScore: result?.overall_score ?? null,
+          verdictMatches: evalCase.expected_verdict && result?.verdict
+            ? result.verdict === evalCase.expected_verdict
+            : null,
+          scoreDelta: scoreDelta(evalCase, prompt),
+          summary: result?.structured_output?.summary ?? null,
+          error: result?.error ?? null,
+        };
+      }),
+      diffs: prompts.slice(1).map(prompt => ({
+        promptId: prompt.id,
+        version: prompt.version,
+        diff: createTwoFilesPatch(
+          `v${baseline.version}`,
+          `v${prompt.version}`,
+          baselineText,
+          resultFor(evalCase.id, prompt.id)?.analysis_text || '',
+          '',
+          '',
+          { context: 2 }
+        ),
+      })),
+    };
+  });
+  
+  return {
+    baselinePromptId: baseline.id,
+    prompts: promptReports,
+    cases: caseReports,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+async function runEvaluation(run, cases, prompts) {
+  console.log(`Eval run ${run.id}: ${cases.length} cases x ${prompts.length} prompts`);
+  
+  try {
+    const tasks = cases.flatMap(evalCase => prompts.map(prompt => ({ evalCase, prompt })));
+    const results = [];
+    let completed = 0;
+    
+    const worker = async () => {
+      while (tasks.length > 0) {
+        const { evalCase, prompt } = tasks.shift();
+        const row = {
+          run_id: run.id,
+          case_id: evalCase.id,
+          prompt_id: prompt.id,
+          prompt_version: prompt.version,
+        };
+        
+        try {
+          const { renderedPrompt } = await prepareAnalysisInput(run.location_id, prompt, {
+            contact: evalCase.snapshot.contact,
+            messages: evalCase.snapshot.messages,
+            customFields: evalCase.snapshot.customFields || {},
+            opportunity: evalCase.snapshot.opportunity,
+          });
+          const { analysisText, structuredOutput } = await requestAnalysis(prompt, renderedPrompt);
+          
+          Object.assign(row, {
+            analysis_text: analysisText,
+            structured_output: structuredOutput,
+            verdict: structuredOutput?.verdict ?? null,
+            overall_score: structuredOutput?.overallScore ?? null,
+          });
+        } catch (error) {
+          console.error(`Eval run ${run.id}, case ${evalCase.id}, prompt v${prompt.version} failed:`, error.message);
+          row.error = error.message;
+        }
+        
+        const { error: insertError } = await supabase.from('eval_results').insert(row);
+        if (insertError) console.error('Error saving eval result:', insertError.message);
+        
+        results.push(row);
+        completed++;
+        await updateEvalRun(run.id, { completed_count: completed });
+      }
+    };
+    
+    await Promise.all(Array.from({ length: EVAL_CONCURRENCY }, worker));
+    
+    await updateEvalRun(run.id, {
+      status: 'completed',
+      report: buildEvalReport(cases, prompts, results),
+      finished_at: new Date().toISOString(),
+    });
+    
+    console.log(`Eval run ${run.id} completed`);
+  } catch (error) {
+    console.error(`Eval run ${run.id} failed:`, error.message);
+    await updateEvalRun(run.id, {
+      status: 'failed',
+      error: error.message,
+      finished_at: new Date().toISOString(),
+    });
+  }
+}
+
+// Eval runs are cheap to restart by hand, so interrupted ones are just marked as failed
+async function failInterruptedEvalRuns() {
+  const { error } = await supabase
+    .from('eval_runs')
+    .update({
+      status: 'failed',
+      error: 'Interrupted by a server restart',
+      finished_at: new Date().toISOString(),
+    })
+    .eq('status', 'running');
+  
+  if (error) console.error('Error closing interrupted eval runs:', error.message);
+}
+
+async function loadEvalSet(locationId, setId) {
+  const { data: set, error } = await supabase
+    .from('eval_sets')
+    .select('*')
+    .eq('location_id', locationId)
+    .eq('id', setId)
+    .maybeSingle();
+  
+  if (error) throw error;
+  return set;
+}
+
+api.get('/evals/sets', async (req, res) => {
+  try {
+    const { data: sets, error } = await supabase
+      .from('eval_sets')
+      .select('*')
+      .eq('location_id', req.location.locationId)
+      .order('created_at', { ascending: false });
     
     if (error) throw error;
     
     res.json({
       success: true,
-      prompt: {
-        id: newPrompt.id,
-        version: newPrompt.version,
-        content: newPrompt.content,
-        settings: newPrompt.settings,
-        createdAt: newPrompt.created_at,
-        createdBy: newPrompt.created_by,
-        isActive: newPrompt.is_active,
-        promptType: newPrompt.prompt_type,
-      },
-      message: `${promptType.charAt(0).toUpperCase() + promptType.slice(1)} prompt v${newPrompt.version} saved and activated`
+      sets: sets.map(formatEvalSet),
     });
   } catch (error) {
-    console.error('Error saving prompt:', error.message);
+    console.error('Error getting eval sets:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -907,33 +5451,30 @@ app.post('/api/prompts', async (req, res) => {
   }
 });
 
-app.post('/api/prompts/:id/restore', async (req, res) => {
-  try {
-    const { data: promptToRestore, error: fetchError } = await supabase
-      .from('prompts')
-      .select('*')
-      .eq('id', req.params.id)
-      .single();
-    
-    if (fetchError) throw fetchError;
+api.post('/evals/sets', requireRole('admin'), async (req, res) => {
+  try {
+    const { name, promptType = 'setter', description } = req.body;
     
-    if (!promptToRestore) {
-      return res.status(404).json({
+    if (!name) {
+      return res.status(400).json({
         success: false,
-        error: 'Prompt not found'
+        error: 'name is required'
       });
     }
     
-    await supabase
-      .from('prompts')
-      .update({ is_active: false })
-      .eq('is_active', true)
-      .eq('prompt_type', promptToRestore.prompt_type);
+    if (!await getPromptType(req.location.locationId, promptType)) {
+      return unknownPromptTypeError(res, promptType);
+    }
     
-    const { data: restored, error } = await supabase
-      .from('prompts')
-      .update({ is_active: true })
-      .eq('id', req.params.id)
+    const { data: set, error } = await supabase
+      .from('eval_sets')
+      .insert({
+        location_id: req.location.locationId,
+        name,
+        prompt_type: promptType,
+        description: description || null,
+        created_by: req.user?.id || null,
+      })
       .select()
       .single();
     
@@ -941,20 +5482,10 @@ app.post('/api/prompts/:id/restore', async (req, res) => {
     
     res.json({
       success: true,
-      prompt: {
-        id: restored.id,
-        version: restored.version,
-        content: restored.content,
-        settings: restored.settings,
-        createdAt: restored.created_at,
-        createdBy: restored.created_by,
-        isActive: restored.is_active,
-        promptType: restored.prompt_type,
-      },
-      message: `${restored.prompt_type.charAt(0).toUpperCase() + restored.prompt_type.slice(1)} prompt v${restored.version} restored and activated`
+      set: formatEvalSet(set),
     });
   } catch (error) {
-    console.error('Error restoring prompt:', error.message);
+    console.error('Error creating eval set:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -962,47 +5493,41 @@ app.post('/api/prompts/:id/restore', async (req, res) => {
   }
 });
 
-app.delete('/api/prompts/:id', async (req, res) => {
+api.get('/evals/sets/:id', async (req, res) => {
   try {
-    const { data: deleted, error } = await supabase
-      .from('prompts')
-      .delete()
-      .eq('id', req.params.id)
-      .select()
-      .single();
+    const set = await loadEvalSet(req.location.locationId, req.params.id);
     
-    if (error) throw error;
-    
-    if (!deleted) {
+    if (!set) {
       return res.status(404).json({
         success: false,
-        error: 'Prompt not found'
+        error: 'Eval set not found'
       });
     }
     
-    if (deleted.is_active) {
-      const { data: latest } = await supabase
-        .from('prompts')
-        .select('*')
-        .eq('prompt_type', deleted.prompt_type)
-        .order('version', { ascending: false })
-        .limit(1)
-        .single();
-      
-      if (latest) {
-        await supabase
-          .from('prompts')
-          .update({ is_active: true })
-          .eq('id', latest.id);
-      }
-    }
+    const { data: cases, error } = await supabase
+      .from('eval_cases')
+      .select('*')
+      .eq('set_id', set.id)
+      .order('created_at', { ascending: true });
+    
+    if (error) throw error;
+    
+    const { data: runs, error: runsError } = await supabase
+      .from('eval_runs')
+      .select('id, set_id, prompt_ids, status, completed_count, total_count, error, created_by, created_at, finished_at')
+      .eq('set_id', set.id)
+      .order('created_at', { ascending: false });
+    
+    if (runsError) throw runsError;
     
     res.json({
       success: true,
-      message: `Prompt v${deleted.version} deleted`
+      set: formatEvalSet(set),
+      cases: cases.map(formatEvalCase),
+      runs: runs.map(formatEvalRun),
     });
   } catch (error) {
-    console.error('Error deleting prompt:', error.message);
+    console.error('Error getting eval set:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -1010,16 +5535,18 @@ app.delete('/api/prompts/:id', async (req, res) => {
   }
 });
 
-app.post('/api/analyze-contact', async (req, res) => {
+api.post('/evals/sets/:id/cases', requireRole('admin'), async (req, res) => {
   try {
-    const { 
-      contactId,
-      promptId,
-      promptType = 'setter',
-      includeWhatsApp = true,
-      includeSMS = true,
-      includeCalls = true,
-    } = req.body;
+    const { contactId, expectedVerdict, expectedScore, notes, dateFrom, dateTo } = req.body;
+    
+    const set = await loadEvalSet(req.location.locationId, req.params.id);
+    
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        error: 'Eval set not found'
+      });
+    }
     
     if (!contactId) {
       return res.status(400).json({
@@ -1028,280 +5555,85 @@ app.post('/api/analyze-contact', async (req, res) => {
       });
     }
     
-    console.log(`Starting ${promptType} analysis for contact: ${contactId}`);
-    
-    let prompt;
-    if (promptId) {
-      const { data } = await supabase
-        .from('prompts')
-        .select('*')
-        .eq('id', promptId)
-        .single();
-      prompt = data;
-    } else {
-      const { data } = await supabase
-        .from('prompts')
-        .select('*')
-        .eq('is_active', true)
-        .eq('prompt_type', promptType)
-        .single();
-      prompt = data;
+    if (!expectedVerdict && expectedScore === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'expectedVerdict or expectedScore is required'
+      });
     }
     
-    if (!prompt) {
+    if (expectedVerdict && !ANALYSIS_VERDICTS.includes(expectedVerdict)) {
       return res.status(400).json({
         success: false,
-        error: `No active ${promptType} prompt found. Please create a prompt first.`
+        error: `expectedVerdict must be one of: ${ANALYSIS_VERDICTS.join(', ')}`
       });
     }
     
-    console.log('Step 1/4: Fetching contact info...');
-    const contactResponse = await axios.get(
-      `https://services.leadconnectorhq.com/contacts/${contactId}`,
-      {
-        headers: {
-          Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-          Version: '2021-07-28',
-        },
-      }
-    );
-    const contact = contactResponse.data.contact;
-    
-    console.log('Step 2/4: Fetching conversations...');
-    const conversationsResponse = await axios.get(
-      'https://services.leadconnectorhq.com/conversations/search',
-      {
-        headers: {
-          Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-          Version: '2021-07-28',
-        },
-        params: {
-          locationId: HIGHLEVEL_LOCATION_ID,
-          contactId: contactId,
-          limit: 100,
-        },
-      }
-    );
-    
-    const conversations = conversationsResponse.data.conversations || [];
-    
-    console.log('Step 3/4: Processing messages and transcribing calls...');
-    let allMessages = [];
-    let transcriptions = [];
-    
-    for (const conv of conversations) {
-      const messagesResponse = await axios.get(
-        `https://services.leadconnectorhq.com/conversations/${conv.id}/messages`,
-        {
-          headers: {
-            Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-            Version: '2021-07-28',
-          },
-          params: { limit: 100 },
-        }
-      );
-      
-	const messagesData = messagesResponse.data.messages || {};
-      	const messages = messagesData.messages || [];
- 
-      	console.log(`Conversation ${conv.id}: found ${messages.length} messages`);
-      
-      for (const msg of messages) {
-        const messageType = msg.type || msg.messageType;
-        console.log(`Message type: ${messageType}, body: ${msg.body?.substring(0, 50)}...`);
-        
-        if ((messageType === 'TYPE_CALL' || messageType === 1) && includeCalls) {
-          try {
-            const recordingUrl = `https://services.leadconnectorhq.com/conversations/messages/${msg.id}/locations/${HIGHLEVEL_LOCATION_ID}/recording`;
-            
-            const audioResponse = await axios.get(recordingUrl, {
-              headers: {
-                Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-                Version: '2021-07-28',
-              },
-              responseType: 'arraybuffer',
-              maxContentLength: 25 * 1024 * 1024,
-              timeout: 90000,
-            });
-            
-            const audioBuffer = Buffer.from(audioResponse.data);
-            const audioFile = new File([audioBuffer], 'recording.mp3', { type: 'audio/mpeg' });
-            
-            const transcription = await openai.audio.transcriptions.create({
-              file: audioFile,
-              model: 'whisper-1',
-              language: prompt.settings.language || 'es',
-            });
-            
-            transcriptions.push({
-              messageId: msg.id,
-              type: 'CALL',
-              text: transcription.text,
-              duration: transcription.duration,
-              date: msg.dateAdded,
-            });
-            
-            allMessages.push({
-              type: 'CALL',
-              content: transcription.text,
-              date: msg.dateAdded,
-            });
-          } catch (err) {
-            console.error(`Error transcribing call ${msg.id}:`, err.message);
-          }
-        } else if ((messageType === 'TYPE_SMS' || messageType === 2) && includeSMS) {
-          allMessages.push({
-            type: 'SMS',
-            content: msg.body,
-            direction: msg.direction,
-            date: msg.dateAdded,
-          });
-        } else if ((messageType === 'TYPE_WHATSAPP' || messageType === 19) && includeWhatsApp) {
-          allMessages.push({
-            type: 'WHATSAPP',
-            content: msg.body,
-            direction: msg.direction,
-            date: msg.dateAdded,
-          });
-        } else if (messageType === 37) {
-          allMessages.push({
-            type: 'INTERNAL_NOTE',
-            content: msg.body,
-            date: msg.dateAdded,
-          });
-        }
-      }
+    if (expectedScore !== undefined && !(typeof expectedScore === 'number' && expectedScore >= 0 && expectedScore <= 10)) {
+      return res.status(400).json({
+        success: false,
+        error: 'expectedScore must be a number between 0 and 10'
+      });
     }
     
-    console.log('Step 4/4: Running AI analysis...');
-
-    let contextParts = [];	
-
-    console.log('📊 Context summary:');
-    console.log('- Contact ID:', contactId);
-    console.log('- Contact name:', `${contact.firstName} ${contact.lastName}`);
-    console.log('- Total conversations:', conversations.length);
-    console.log('- Total messages collected:', allMessages.length);
-    console.log('- Total transcriptions:', transcriptions.length);
-    console.log('- Context parts:', contextParts.length);
-    console.log('📝 Sending to Claude...');    
-    
-    if (prompt.settings.includeContactInfo) {
-      contextParts.push(`**INFORMACIÓN DEL CONTACTO:**
-- Nombre: ${contact.firstName} ${contact.lastName}
-- Email: ${contact.email || 'No disponible'}
-- Teléfono: ${contact.phone || 'No disponible'}
-- Tags: ${contact.tags?.join(', ') || 'Ninguno'}
-- Fuente: ${contact.source || 'No especificada'}`);
-    }
+    const prompt = await loadAnalysisPrompt(req.location.locationId, { promptType: set.prompt_type });
     
-    if (allMessages.length > 0) {
-      const sortedMessages = allMessages.sort((a, b) => 
-        new Date(a.date) - new Date(b.date)
-      );
-      
-      const messagesText = sortedMessages.map(msg => {
-        const date = new Date(msg.date).toLocaleString('es-ES');
-        return `[${date}] ${msg.type} - ${msg.direction || ''}: ${msg.content}`;
-      }).join('\n\n');
-      
-      contextParts.push(`**HISTORIAL DE COMUNICACIONES:**\n${messagesText}`);
+    if (!prompt) {
+      return res.status(400).json({
+        success: false,
+        error: `No active ${set.prompt_type} prompt found. Please create a prompt first.`
+      });
     }
     
-    const fullContext = contextParts.join('\n\n━━━━━━━━━━━━━━━━━━━━━━━━\n\n');
+    const snapshot = await captureContactSnapshot(req.location, contactId, prompt, { dateFrom, dateTo });
     
-    const claudeResponse = await anthropic.messages.create({
-      model: prompt.settings.model || 'claude-sonnet-4-5-20250929',
-      max_tokens: 4000,
-      messages: [{
-        role: 'user',
-        content: `${prompt.content}\n\n${fullContext}`
-      }]
-    });
-    
-    const analysisText = claudeResponse.content[0].text;
-    
-    const { data: savedAnalysis, error: saveError } = await supabase
-      .from('analyses')
+    const { data: evalCase, error } = await supabase
+      .from('eval_cases')
       .insert({
+        set_id: set.id,
+        location_id: req.location.locationId,
         contact_id: contactId,
-        user_id: null,
-        contact_name: `${contact.firstName} ${contact.lastName}`,
-        prompt_version: prompt.version,
-        prompt_id: prompt.id,
-        prompt_type: prompt.prompt_type,
-        analysis_text: analysisText,
-        transcriptions: transcriptions,
-        metadata: {
-          totalMessages: allMessages.length,
-          totalCalls: transcriptions.length,
-          analysisDate: new Date().toISOString(),
-          promptType: prompt.prompt_type,
-        },
+        contact_name: `${snapshot.contact.firstName || ''} ${snapshot.contact.lastName || ''}`.trim(),
+        expected_verdict: expectedVerdict || null,
+        expected_score: expectedScore ?? null,
+        notes: notes || null,
+        snapshot,
       })
       .select()
       .single();
     
-    if (saveError) throw saveError;
-    
-    console.log('Analysis completed and saved successfully');
+    if (error) throw error;
     
     res.json({
       success: true,
-      analysis: {
-        id: savedAnalysis.id,
-        contactId: savedAnalysis.contact_id,
-        contactName: savedAnalysis.contact_name,
-        promptVersion: savedAnalysis.prompt_version,
-        promptId: savedAnalysis.prompt_id,
-        promptType: savedAnalysis.prompt_type,
-        analysisText: savedAnalysis.analysis_text,
-        transcriptions: savedAnalysis.transcriptions,
-        metadata: savedAnalysis.metadata,
-        createdAt: savedAnalysis.created_at,
-      },
+      case: formatEvalCase(evalCase),
     });
-    
   } catch (error) {
-    console.error('Analysis error:', error.message);
+    console.error('Error adding eval case:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
     });
   }
 });
 
-app.get('/api/analyses/:contactId/latest', async (req, res) => {
+api.delete('/evals/sets/:id/cases/:caseId', requireRole('admin'), async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('analyses')
-      .select('*')
-      .eq('contact_id', req.params.contactId)
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
+    const { error } = await supabase
+      .from('eval_cases')
+      .delete()
+      .eq('location_id', req.location.locationId)
+      .eq('set_id', req.params.id)
+      .eq('id', req.params.caseId);
     
-    if (error && error.code !== 'PGRST116') throw error;
+    if (error) throw error;
     
     res.json({
       success: true,
-      analysis: data ? {
-        id: data.id,
-        contactId: data.contact_id,
-        contactName: data.contact_name,
-        promptVersion: data.prompt_version,
-        promptId: data.prompt_id,
-        promptType: data.prompt_type,
-        analysisText: data.analysis_text,
-        transcriptions: data.transcriptions,
-        metadata: data.metadata,
-        createdAt: data.created_at,
-      } : null,
-      message: data ? null : 'No analysis found for this contact'
+      message: 'Eval case deleted'
     });
   } catch (error) {
-    console.error('Error getting latest analysis:', error.message);
+    console.error('Error deleting eval case:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -1309,28 +5641,88 @@ app.get('/api/analyses/:contactId/latest', async (req, res) => {
   }
 });
 
-
-app.get('/api/analyses/:contactId/types', async (req, res) => {
+api.post('/evals/sets/:id/runs', requireRole('admin'), async (req, res) => {
   try {
-    const { data: analyses, error } = await supabase
-      .from('analyses')
-      .select('prompt_type')
-      .eq('contact_id', req.params.contactId);
+    const { locationId } = req.location;
+    const { promptIds, versions } = req.body;
+    
+    const set = await loadEvalSet(locationId, req.params.id);
+    
+    if (!set) {
+      return res.status(404).json({
+        success: false,
+        error: 'Eval set not found'
+      });
+    }
+    
+    const requested = promptIds || versions;
+    
+    if (!Array.isArray(requested) || requested.length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'promptIds or versions must list at least two prompt versions; the first one is the baseline'
+      });
+    }
+    
+    const { data: found, error: promptsError } = await supabase
+      .from('prompts')
+      .select('*')
+      .eq('location_id', locationId)
+      .eq('prompt_type', set.prompt_type)
+      .in(promptIds ? 'id' : 'version', requested);
+    
+    if (promptsError) throw promptsError;
+    
+    const key = promptIds ? 'id' : 'version';
+    const prompts = requested.map(value => found.find(p => String(p[key]) === String(value))).filter(Boolean);
+    
+    if (prompts.length !== requested.length) {
+      return res.status(400).json({
+        success: false,
+        error: `Some ${set.prompt_type} prompt versions were not found`
+      });
+    }
+    
+    const { data: cases, error: casesError } = await supabase
+      .from('eval_cases')
+      .select('*')
+      .eq('set_id', set.id)
+      .order('created_at', { ascending: true });
+    
+    if (casesError) throw casesError;
+    
+    if (cases.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The eval set has no cases yet'
+      });
+    }
+    
+    const { data: run, error } = await supabase
+      .from('eval_runs')
+      .insert({
+        set_id: set.id,
+        location_id: locationId,
+        prompt_ids: prompts.map(p => p.id),
+        status: 'running',
+        completed_count: 0,
+        total_count: cases.length * prompts.length,
+        created_by: req.user?.id || null,
+      })
+      .select()
+      .single();
     
     if (error) throw error;
     
-    const types = {
-      hasSetter: analyses.some(a => a.prompt_type === 'setter'),
-      hasCloser: analyses.some(a => a.prompt_type === 'closer'),
-      total: analyses.length,
-    };
+    runEvaluation(run, cases, prompts);
     
-    res.json({
+    res.status(202).json({
       success: true,
-      ...types,
+      run: formatEvalRun(run),
+      message: `Evaluation started. Poll /api/evals/runs/${run.id} for the report.`
     });
   } catch (error) {
-    console.error('Error checking analysis types:', error.message);
+    console.error('Error starting eval run:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -1338,34 +5730,30 @@ app.get('/api/analyses/:contactId/types', async (req, res) => {
   }
 });
 
-app.get('/api/analyses/:contactId', async (req, res) => {
+api.get('/evals/runs/:id', async (req, res) => {
   try {
-    const { data: analyses, error } = await supabase
-      .from('analyses')
+    const { data: run, error } = await supabase
+      .from('eval_runs')
       .select('*')
-      .eq('contact_id', req.params.contactId)
-      .order('created_at', { ascending: false });
+      .eq('location_id', req.location.locationId)
+      .eq('id', req.params.id)
+      .maybeSingle();
     
     if (error) throw error;
     
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Eval run not found'
+      });
+    }
+    
     res.json({
       success: true,
-      analyses: analyses.map(a => ({
-        id: a.id,
-        contactId: a.contact_id,
-        contactName: a.contact_name,
-        promptVersion: a.prompt_version,
-        promptId: a.prompt_id,
-        promptType: a.prompt_type,
-        analysisText: a.analysis_text,
-        transcriptions: a.transcriptions,
-        metadata: a.metadata,
-        createdAt: a.created_at,
-      })),
-      total: analyses.length,
+      run: formatEvalRun(run),
     });
   } catch (error) {
-    console.error('Error getting analyses:', error.message);
+    console.error('Error getting eval run:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -1373,32 +5761,79 @@ app.get('/api/analyses/:contactId', async (req, res) => {
   }
 });
 
-app.post('/api/analyses/:contactId/reanalyze', async (req, res) => {
-  try {
-    const { promptId, promptType } = req.body;
-    
-    return app._router.handle(
-      { ...req, url: '/api/analyze-contact', method: 'POST', body: {
-        contactId: req.params.contactId,
-        promptId,
-        promptType,
-        includeWhatsApp: true,
-        includeSMS: true,
-        includeCalls: true,
-      }},
-      res
-    );
-    
-  } catch (error) {
-    console.error('Error reanalyzing contact:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+// Chat routes reply with JSON unless the body sets `stream: true`, in which case they answer
+// with Server-Sent Events: text, tool_start, tool_end, usage, done (or error)
+function openEventStream(req, res) {
+  let closed = false;
+  let current = null;
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  
+  res.on('close', () => {
+    closed = true;
+    current?.abort();
+  });
+  
+  return {
+    get closed() {
+      return closed;
+    },
+    track(messageStream) {
+      current = messageStream;
+    },
+    send(event, data) {
+      if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!closed) res.end();
+    },
+  };
+}
+
+async function createClaudeMessage(params, events) {
+  if (!events) return anthropic.messages.create(params);
+  
+  const messageStream = anthropic.messages.stream(params);
+  events.track(messageStream);
+  messageStream.on('text', text => events.send('text', { text }));
+  
+  return messageStream.finalMessage();
+}
+
+function summarizeToolResult(result) {
+  if (result?.error) return `Error: ${result.error}`;
+  
+  const counts = Object.entries(result || {})
+    .filter(([, value]) => Array.isArray(value))
+    .map(([key, value]) => `${value.length} ${key}`);
+  
+  if (counts.length > 0) return counts.join(', ');
+  
+  const text = JSON.stringify(result);
+  return text.length > 200 ? `${text.slice(0, 197)}...` : text;
+}
+
+function sendChatError(res, events, error) {
+  if (events) {
+    events.send('error', { error: error.message });
+    return events.end();
   }
-});
+  
+  res.status(500).json({
+    success: false,
+    error: error.message,
+  });
+}
 
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', requireRole('auditor'), async (req, res) => {
+  let events = null;
+  
   try {
     const { 
       messages,
@@ -1406,7 +5841,8 @@ app.post('/api/chat', async (req, res) => {
       model = 'claude-sonnet-4-5-20250929',
       maxTokens = 4000,
       temperature,
-      context
+      context,
+      stream = false,
     } = req.body;
     
     if (!messages || !Array.isArray(messages)) {
@@ -1436,9 +5872,22 @@ app.post('/api/chat', async (req, res) => {
       params.temperature = temperature;
     }
     
-    console.log(`Chat request with ${messages.length} messages`);
+    console.log(`Chat request with ${messages.length} messages${stream ? ' (streaming)' : ''}`);
+    
+    if (stream) events = openEventStream(req, res);
+    
+    const response = await createClaudeMessage(params, events);
     
-    const response = await anthropic.messages.create(params);
+    const usage = {
+      inputTokens: response.usage.input_tokens,
+      outputTokens: response.usage.output_tokens,
+    };
+    
+    if (events) {
+      events.send('usage', usage);
+      events.send('done', { response: response.content[0].text, model: response.model });
+      return events.end();
+    }
     
     res.json({
       success: true,
@@ -1452,10 +5901,7 @@ app.post('/api/chat', async (req, res) => {
     
   } catch (error) {
     console.error('Chat error:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+    sendChatError(res, events, error);
   }
 });
 
@@ -1522,6 +5968,10 @@ const mcpTools = [
         limit: {
           type: "number",
           description: "Número de mensajes a obtener"
+        },
+        cursor: {
+          type: "string",
+          description: "nextCursor devuelto por la página anterior para obtener mensajes más antiguos"
         }
       },
       required: ["conversationId"]
@@ -1536,36 +5986,242 @@ const mcpTools = [
         messageId: {
           type: "string",
           description: "ID del mensaje que contiene la grabación"
+        },
+        force: {
+          type: "boolean",
+          description: "Volver a transcribir aunque ya exista una transcripción guardada"
         }
       },
       required: ["messageId"]
     }
+  },
+  {
+    name: "search_analyses",
+    description: "Busca auditorías ya guardadas de esta subcuenta. Permite filtrar por tipo de prompt, veredicto, rango de puntuación (0-10), fechas y nombre del contacto, y ordenar por puntuación o fecha",
+    input_schema: {
+      type: "object",
+      properties: {
+        promptType: {
+          type: "string",
+          description: "Tipo de auditoría (setter, closer o un tipo personalizado; get_active_prompts lista los activos)"
+        },
+        verdict: {
+          type: "string",
+          enum: ["pass", "needs_improvement", "fail"],
+          description: "Veredicto de la auditoría"
+        },
+        minScore: {
+          type: "number",
+          description: "Puntuación mínima"
+        },
+        maxScore: {
+          type: "number",
+          description: "Puntuación máxima"
+        },
+        dateFrom: {
+          type: "string",
+          description: "Fecha ISO desde la que buscar (incluida)"
+        },
+        dateTo: {
+          type: "string",
+          description: "Fecha ISO hasta la que buscar (incluida)"
+        },
+        contactName: {
+          type: "string",
+          description: "Parte del nombre del contacto"
+        },
+        sortBy: {
+          type: "string",
+          enum: ["recent", "score_asc", "score_desc"],
+          description: "Orden de los resultados (default: recent)"
+        },
+        limit: {
+          type: "number",
+          description: "Número de auditorías a obtener (default: 10, máx 50)"
+        }
+      }
+    }
+  },
+  {
+    name: "get_latest_analysis",
+    description: "Obtiene la auditoría más reciente de un contacto, con el resultado estructurado completo",
+    input_schema: {
+      type: "object",
+      properties: {
+        contactId: {
+          type: "string",
+          description: "ID del contacto"
+        },
+        promptType: {
+          type: "string",
+          description: "Tipo de auditoría (por defecto la más reciente de cualquier tipo)"
+        }
+      },
+      required: ["contactId"]
+    }
+  },
+  {
+    name: "list_opportunities",
+    description: "Lista oportunidades guardadas en caché, filtrando por pipeline, etapa, estado o si ya tienen auditoría",
+    input_schema: {
+      type: "object",
+      properties: {
+        pipelineId: {
+          type: "string",
+          description: "ID del pipeline (usa list_pipelines para obtenerlo)"
+        },
+        pipelineStageId: {
+          type: "string",
+          description: "ID de la etapa del pipeline"
+        },
+        status: {
+          type: "string",
+          enum: ["open", "won", "lost", "abandoned"],
+          description: "Estado de la oportunidad"
+        },
+        hasAnalysis: {
+          type: "boolean",
+          description: "Solo oportunidades con (true) o sin (false) auditoría"
+        },
+        limit: {
+          type: "number",
+          description: "Número de oportunidades a obtener (default: 50)"
+        }
+      }
+    }
+  },
+  {
+    name: "list_pipelines",
+    description: "Lista los pipelines de la subcuenta con sus etapas",
+    input_schema: {
+      type: "object",
+      properties: {}
+    }
+  },
+  {
+    name: "get_active_prompts",
+    description: "Obtiene los prompts de auditoría activos de cada tipo (setter, closer y tipos personalizados) con su versión y configuración",
+    input_schema: {
+      type: "object",
+      properties: {
+        promptType: {
+          type: "string",
+          description: "Tipo de prompt (por defecto todos)"
+        }
+      }
+    }
+  },
+  {
+    name: "trigger_analysis",
+    description: "Encola una nueva auditoría de un contacto con el prompt activo. Modifica datos: la acción queda pendiente hasta que el usuario la confirma en la aplicación",
+    input_schema: {
+      type: "object",
+      properties: {
+        contactId: {
+          type: "string",
+          description: "ID del contacto"
+        },
+        promptType: {
+          type: "string",
+          description: "Tipo de auditoría (default: setter)"
+        }
+      },
+      required: ["contactId"]
+    }
   }
 ];
 
-async function executeMCPTool(toolName, toolInput) {
-  console.log(`Executing MCP tool: ${toolName}`, toolInput);
+// Tools that change data never run from a model's tool call. The call is stored as a pending
+// action, and only a request from the user that echoes its id executes it.
+const MCP_WRITE_TOOLS = new Set(['trigger_analysis']);
+const PENDING_ACTION_TTL_MS = 15 * 60 * 1000;
+
+function formatPendingAction(action) {
+  return {
+    id: action.id,
+    tool: action.tool_name,
+    input: action.tool_input,
+    status: action.status,
+    createdAt: action.created_at,
+  };
+}
+
+async function createPendingAction(locationId, userId, toolName, toolInput) {
+  const { data: action, error } = await supabase
+    .from('mcp_pending_actions')
+    .insert({
+      location_id: locationId,
+      user_id: userId,
+      tool_name: toolName,
+      tool_input: toolInput,
+      status: 'pending',
+    })
+    .select()
+    .single();
+  
+  if (error) throw error;
+  return action;
+}
+
+// Claiming the action before running it makes a repeated confirmation a no-op.
+// Returns null when the action does not exist, expired, was already run or belongs to another user.
+async function confirmPendingAction(location, actionId, userId = null) {
+  let query = supabase
+    .from('mcp_pending_actions')
+    .update({ status: 'confirmed', confirmed_at: new Date().toISOString() })
+    .eq('location_id', location.locationId)
+    .eq('id', actionId)
+    .eq('status', 'pending')
+    .gte('created_at', new Date(Date.now() - PENDING_ACTION_TTL_MS).toISOString());
+  
+  if (userId) query = query.eq('user_id', userId);
+  
+  const { data: action, error } = await query.select().maybeSingle();
+  
+  if (error) throw error;
+  if (!action) return null;
+  
+  const result = await executeMCPTool(action.tool_name, action.tool_input, location, userId, { confirmed: true });
+  
+  await supabase
+    .from('mcp_pending_actions')
+    .update({ status: result?.error ? 'failed' : 'executed', result })
+    .eq('id', action.id);
+  
+  return { action: formatPendingAction(action), result };
+}
+
+async function executeMCPTool(toolName, toolInput, location, userId = null, { confirmed = false } = {}) {
+  console.log(`Executing MCP tool: ${toolName} (${location.locationId})`, toolInput);
+  
+  const { locationId, highlevel } = location;
+  
+  if (MCP_WRITE_TOOLS.has(toolName) && !confirmed) {
+    try {
+      const action = await createPendingAction(locationId, userId, toolName, toolInput);
+      
+      return {
+        requiresConfirmation: true,
+        action: formatPendingAction(action),
+        message: 'Esta acción modifica datos y queda pendiente. Describe al usuario lo que se va a hacer: solo se ejecutará si la confirma desde la aplicación.',
+      };
+    } catch (error) {
+      console.error(`Error creating pending action for ${toolName}:`, error.message);
+      return { error: error.message };
+    }
+  }
   
   try {
     switch (toolName) {
       case "get_contacts": {
         const { limit = 20, query } = toolInput;
         const params = {
-          locationId: HIGHLEVEL_LOCATION_ID,
+          locationId,
           limit: parseInt(limit),
         };
         if (query) params.query = query;
         
-        const response = await axios.get(
-          'https://services.leadconnectorhq.com/contacts/',
-          {
-            headers: {
-              Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-              Version: '2021-07-28',
-            },
-            params,
-          }
-        );
+        const response = await highlevel.get('/contacts/', { params });
         
         return {
           contacts: response.data.contacts.map(c => ({
@@ -1582,15 +6238,7 @@ async function executeMCPTool(toolName, toolInput) {
       
       case "get_contact": {
         const { contactId } = toolInput;
-        const response = await axios.get(
-          `https://services.leadconnectorhq.com/contacts/${contactId}`,
-          {
-            headers: {
-              Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-              Version: '2021-07-28',
-            },
-          }
-        );
+        const response = await highlevel.get(`/contacts/${contactId}`);
         
         const contact = response.data.contact;
         return {
@@ -1607,15 +6255,11 @@ async function executeMCPTool(toolName, toolInput) {
       
       case "get_conversations": {
         const { contactId, limit = 50 } = toolInput;
-        const response = await axios.get(
-          'https://services.leadconnectorhq.com/conversations/search',
+        const response = await highlevel.get(
+          '/conversations/search',
           {
-            headers: {
-              Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-              Version: '2021-07-28',
-            },
             params: {
-              locationId: HIGHLEVEL_LOCATION_ID,
+              locationId,
               contactId: contactId,
               limit: parseInt(limit),
             },
@@ -1629,52 +6273,190 @@ async function executeMCPTool(toolName, toolInput) {
       }
       
       case "get_conversation_messages": {
-        const { conversationId, limit = 100 } = toolInput;
-        const response = await axios.get(
-          `https://services.leadconnectorhq.com/conversations/${conversationId}/messages`,
-          {
-            headers: {
-              Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-              Version: '2021-07-28',
-            },
-            params: {
-              limit: parseInt(limit),
-            },
-          }
-        );
+        const { conversationId, limit = 100, cursor } = toolInput;
+        const { messages, nextCursor } = await fetchMessagesPage(location, conversationId, { cursor, limit });
         
         return {
-          messages: response.data.messages || [],
-          total: response.data.messages?.length || 0,
+          messages,
+          total: messages.length,
+          nextCursor,
         };
       }
       
       case "transcribe_recording": {
-        const { messageId } = toolInput;
-        const recordingUrl = `https://services.leadconnectorhq.com/conversations/messages/${messageId}/locations/${HIGHLEVEL_LOCATION_ID}/recording`;
+        const { messageId, force = false } = toolInput;
+        const transcription = await transcribeMessage(location, messageId, { force });
         
-        const audioResponse = await axios.get(recordingUrl, {
-          headers: {
-            Authorization: `Bearer ${HIGHLEVEL_API_KEY}`,
-            Version: '2021-07-28',
-          },
-          responseType: 'arraybuffer',
-          maxContentLength: 25 * 1024 * 1024,
-          timeout: 90000,
-        });
+        return {
+          transcription: transcription.text,
+          duration: transcription.duration,
+          cached: transcription.cached,
+        };
+      }
+      
+      case "search_analyses": {
+        const {
+          promptType,
+          verdict,
+          minScore,
+          maxScore,
+          dateFrom,
+          dateTo,
+          contactName,
+          sortBy = 'recent',
+          limit = 10,
+        } = toolInput;
         
-        const audioBuffer = Buffer.from(audioResponse.data);
-        const audioFile = new File([audioBuffer], 'recording.mp3', { type: 'audio/mpeg' });
+        let query = supabase
+          .from('analyses')
+          .select('id, contact_id, contact_name, prompt_type, prompt_version, verdict, overall_score, structured_output, created_at')
+          .eq('location_id', locationId);
         
-        const transcription = await openai.audio.transcriptions.create({
-          file: audioFile,
-          model: 'whisper-1',
-          language: 'es',
-        });
+        if (promptType) query = query.eq('prompt_type', promptType);
+        if (verdict) query = query.eq('verdict', verdict);
+        if (minScore !== undefined) query = query.gte('overall_score', minScore);
+        if (maxScore !== undefined) query = query.lte('overall_score', maxScore);
+        if (dateFrom) query = query.gte('created_at', dateFrom);
+        if (dateTo) query = query.lte('created_at', dateTo);
+        if (contactName) query = query.ilike('contact_name', `%${contactName}%`);
+        
+        if (sortBy === 'recent') {
+          query = query.order('created_at', { ascending: false });
+        } else {
+          query = query
+            .not('overall_score', 'is', null)
+            .order('overall_score', { ascending: sortBy === 'score_asc' });
+        }
+        
+        const { data: analyses, error } = await query.limit(Math.min(parseInt(limit), 50));
+        
+        if (error) throw error;
         
         return {
-          transcription: transcription.text,
-          duration: transcription.duration,
+          analyses: analyses.map(a => ({
+            id: a.id,
+            contactId: a.contact_id,
+            contactName: a.contact_name,
+            promptType: a.prompt_type,
+            promptVersion: a.prompt_version,
+            verdict: a.verdict,
+            overallScore: a.overall_score,
+            summary: a.structured_output?.summary,
+            createdAt: a.created_at,
+          })),
+          total: analyses.length,
+        };
+      }
+      
+      case "get_latest_analysis": {
+        const { contactId, promptType } = toolInput;
+        
+        let query = supabase
+          .from('analyses')
+          .select('*')
+          .eq('location_id', locationId)
+          .eq('contact_id', contactId);
+        
+        if (promptType) query = query.eq('prompt_type', promptType);
+        
+        const { data: analysis, error } = await query
+          .order('created_at', { ascending: false })
+          .limit(1)
+          .maybeSingle();
+        
+        if (error) throw error;
+        if (!analysis) return { analysis: null, message: 'Este contacto no tiene auditorías' };
+        
+        const { transcriptions, ...formatted } = formatAnalysis(analysis);
+        return { analysis: formatted };
+      }
+      
+      case "list_opportunities": {
+        const { pipelineId, pipelineStageId, status, hasAnalysis, limit = 50 } = toolInput;
+        
+        let query = supabase
+          .from('opportunities_cache')
+          .select('*')
+          .eq('location_id', locationId);
+        
+        if (pipelineId) query = query.eq('pipeline_id', pipelineId);
+        if (pipelineStageId) query = query.eq('pipeline_stage_id', pipelineStageId);
+        if (status) query = query.eq('status', status);
+        if (hasAnalysis !== undefined) query = query.eq('has_analysis', hasAnalysis);
+        
+        const { data: opportunities, error } = await query
+          .order('last_synced', { ascending: false })
+          .limit(parseInt(limit));
+        
+        if (error) throw error;
+        
+        return {
+          opportunities: opportunities.map(opp => ({
+            id: opp.opportunity_id,
+            name: opp.name,
+            pipelineName: opp.pipeline_name,
+            pipelineStageId: opp.pipeline_stage_id,
+            status: opp.status,
+            monetaryValue: opp.monetary_value,
+            contactId: opp.contact_id,
+            contactName: opp.contact_name,
+            hasAnalysis: opp.has_analysis,
+            analysisStale: opp.analysis_stale,
+          })),
+          total: opportunities.length,
+        };
+      }
+      
+      case "list_pipelines": {
+        const response = await highlevel.get('/opportunities/pipelines', { params: { locationId } });
+        
+        return {
+          pipelines: (response.data.pipelines || []).map(p => ({
+            id: p.id,
+            name: p.name,
+            stages: (p.stages || []).map(s => ({ id: s.id, name: s.name })),
+          })),
+        };
+      }
+      
+      case "get_active_prompts": {
+        const { promptType } = toolInput;
+        
+        let query = supabase
+          .from('prompts')
+          .select('id, version, content, settings, prompt_type, created_at')
+          .eq('location_id', locationId)
+          .eq('is_active', true);
+        
+        if (promptType) query = query.eq('prompt_type', promptType);
+        
+        const { data: prompts, error } = await query;
+        
+        if (error) throw error;
+        
+        return {
+          prompts: prompts.map(p => ({
+            id: p.id,
+            promptType: p.prompt_type,
+            version: p.version,
+            content: p.content,
+            settings: p.settings,
+            createdAt: p.created_at,
+          })),
+        };
+      }
+      
+      case "trigger_analysis": {
+        const { contactId, promptType = 'setter' } = toolInput;
+        
+        const prompt = await loadAnalysisPrompt(locationId, { promptType });
+        if (!prompt) throw new Error(`No hay un prompt ${promptType} activo`);
+        
+        const job = await enqueueAnalysisJob({ locationId, contactId, prompt, userId });
+        
+        return {
+          job: formatJob(job),
+          message: `Auditoría ${promptType} encolada con el prompt v${prompt.version}. Usa get_latest_analysis cuando termine.`,
         };
       }
       
@@ -1682,51 +6464,416 @@ async function executeMCPTool(toolName, toolInput) {
         throw new Error(`Unknown tool: ${toolName}`);
     }
   } catch (error) {
-    console.error(`Error executing ${toolName}:`, error.message);
-    return {
+    console.error(`Error executing ${toolName}:`, error.message);
+    return {
+      error: error.message,
+    };
+  }
+}
+
+const MCP_MAX_TOOL_ITERATIONS = parseInt(process.env.MCP_MAX_TOOL_ITERATIONS || '10');
+
+// Transcriptions download and chunk whole recordings, so they run one at a time
+const SERIAL_MCP_TOOLS = new Set(['transcribe_recording']);
+
+// Every tool_use block of a turn must be answered with its own tool_result
+async function executeToolCalls(toolUses, location, events, userId = null) {
+  let serialQueue = Promise.resolve();
+  
+  return Promise.all(toolUses.map(toolUse => {
+    const run = async () => {
+      events?.send('tool_start', { id: toolUse.id, name: toolUse.name, input: toolUse.input });
+      
+      const toolResult = await executeMCPTool(toolUse.name, toolUse.input, location, userId);
+      const isError = Boolean(toolResult?.error);
+      
+      events?.send('tool_end', {
+        id: toolUse.id,
+        name: toolUse.name,
+        isError,
+        summary: summarizeToolResult(toolResult),
+      });
+      
+      return {
+        type: "tool_result",
+        tool_use_id: toolUse.id,
+        content: JSON.stringify(toolResult),
+        ...(isError && { is_error: true }),
+      };
+    };
+    
+    if (!SERIAL_MCP_TOOLS.has(toolUse.name)) return run();
+    
+    serialQueue = serialQueue.then(run);
+    return serialQueue;
+  }));
+}
+
+const CHAT_TITLE_MODEL = process.env.CHAT_TITLE_MODEL || 'claude-haiku-4-5-20251001';
+
+function formatChatSession(session) {
+  return {
+    id: session.id,
+    title: session.title,
+    userId: session.user_id,
+    createdAt: session.created_at,
+    updatedAt: session.updated_at,
+  };
+}
+
+// Sessions belong to the location and to the user who created them
+async function loadChatSession(req, sessionId) {
+  let query = supabase
+    .from('chat_sessions')
+    .select('*')
+    .eq('location_id', req.location.locationId)
+    .eq('id', sessionId);
+  
+  if (req.user) query = query.eq('user_id', req.user.id);
+  
+  const { data: session, error } = await query.maybeSingle();
+  
+  if (error) throw error;
+  return session;
+}
+
+async function loadChatMessages(sessionId) {
+  const { data: rows, error } = await supabase
+    .from('chat_messages')
+    .select('role, content, position')
+    .eq('session_id', sessionId)
+    .order('position', { ascending: true });
+  
+  if (error) throw error;
+  return rows;
+}
+
+async function createChatSession(req, title = null) {
+  const { data: session, error } = await supabase
+    .from('chat_sessions')
+    .insert({
+      location_id: req.location.locationId,
+      user_id: req.user?.id || null,
+      title,
+    })
+    .select()
+    .single();
+  
+  if (error) throw error;
+  return session;
+}
+
+// Messages are stored exactly as sent to Claude, tool_use and tool_result blocks included,
+// so a resumed session replays the same context
+async function appendChatMessages(sessionId, startPosition, messages) {
+  const { error } = await supabase
+    .from('chat_messages')
+    .insert(messages.map((m, i) => ({
+      session_id: sessionId,
+      position: startPosition + i,
+      role: m.role,
+      content: m.content,
+    })));
+  
+  if (error) throw error;
+  
+  await supabase
+    .from('chat_sessions')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', sessionId);
+}
+
+function messageText(content) {
+  if (typeof content === 'string') return content;
+  return content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+}
+
+async function generateChatTitle(messages) {
+  const transcript = messages
+    .map(m => ({ role: m.role, text: messageText(m.content) }))
+    .filter(m => m.text)
+    .slice(0, 4)
+    .map(m => `${m.role === 'user' ? 'Usuario' : 'Asistente'}: ${m.text.slice(0, 500)}`)
+    .join('\n\n');
+  
+  const response = await anthropic.messages.create({
+    model: CHAT_TITLE_MODEL,
+    max_tokens: 30,
+    messages: [{
+      role: 'user',
+      content: `Escribe un título breve (máximo 6 palabras, sin comillas) para esta conversación:\n\n${transcript}`,
+    }],
+  });
+  
+  return response.content[0].text.trim().replace(/^["']|["']$/g, '');
+}
+
+async function saveChatTitle(sessionId, messages) {
+  const title = await generateChatTitle(messages);
+  
+  const { error } = await supabase
+    .from('chat_sessions')
+    .update({ title })
+    .eq('id', sessionId);
+  
+  if (error) throw error;
+  return title;
+}
+
+api.post('/chat-sessions', requireRole('auditor'), async (req, res) => {
+  try {
+    const session = await createChatSession(req, req.body.title || null);
+    
+    res.json({
+      success: true,
+      session: formatChatSession(session),
+    });
+  } catch (error) {
+    console.error('Error creating chat session:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.get('/chat-sessions', async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+    
+    let query = supabase
+      .from('chat_sessions')
+      .select('*')
+      .eq('location_id', req.location.locationId)
+      .order('updated_at', { ascending: false })
+      .limit(parseInt(limit));
+    
+    if (req.user) query = query.eq('user_id', req.user.id);
+    
+    const { data: sessions, error } = await query;
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      sessions: sessions.map(formatChatSession),
+      total: sessions.length,
+    });
+  } catch (error) {
+    console.error('Error listing chat sessions:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.get('/chat-sessions/:id', async (req, res) => {
+  try {
+    const session = await loadChatSession(req, req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chat session not found'
+      });
+    }
+    
+    const messages = await loadChatMessages(session.id);
+    
+    res.json({
+      success: true,
+      session: formatChatSession(session),
+      messages: messages.map(m => ({ role: m.role, content: m.content })),
+    });
+  } catch (error) {
+    console.error('Error getting chat session:', error.message);
+    res.status(500).json({
+      success: false,
       error: error.message,
-    };
+    });
   }
-}
+});
+
+api.post('/chat-sessions/:id/title', requireRole('auditor'), async (req, res) => {
+  try {
+    const session = await loadChatSession(req, req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chat session not found'
+      });
+    }
+    
+    const messages = await loadChatMessages(session.id);
+    
+    if (messages.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'The session has no messages yet'
+      });
+    }
+    
+    const title = await saveChatTitle(session.id, messages);
+    
+    res.json({
+      success: true,
+      session: formatChatSession({ ...session, title }),
+    });
+  } catch (error) {
+    console.error('Error generating chat title:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+api.delete('/chat-sessions/:id', requireRole('auditor'), async (req, res) => {
+  try {
+    const session = await loadChatSession(req, req.params.id);
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chat session not found'
+      });
+    }
+    
+    const { error: messagesError } = await supabase
+      .from('chat_messages')
+      .delete()
+      .eq('session_id', session.id);
+    
+    if (messagesError) throw messagesError;
+    
+    const { error } = await supabase
+      .from('chat_sessions')
+      .delete()
+      .eq('id', session.id);
+    
+    if (error) throw error;
+    
+    res.json({
+      success: true,
+      message: `Chat session ${session.id} deleted`
+    });
+  } catch (error) {
+    console.error('Error deleting chat session:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
 
-app.post('/api/chat-mcp', async (req, res) => {
+api.post('/chat-mcp', requireRole('auditor'), async (req, res) => {
+  let events = null;
+  
   try {
-    const { message, conversationHistory = [] } = req.body;
+    const {
+      message,
+      conversationHistory = [],
+      stream = false,
+      sessionId,
+      saveSession = false,
+      generateTitle = false,
+      confirmAction,
+    } = req.body;
     
-    if (!message) {
+    if (!message && !confirmAction) {
       return res.status(400).json({
         success: false,
-        error: 'message is required'
+        error: 'message or confirmAction is required'
       });
     }
     
-    console.log(`MCP Chat request: "${message}"`);
+    console.log(`MCP Chat request (${req.location.locationId}): "${message || `confirm ${confirmAction}`}"`);
+    
+    const system = `Estás ayudando a auditar la subcuenta de HighLevel "${req.location.name}" (locationId: ${req.location.locationId}). Todas las herramientas consultan únicamente esta subcuenta. Hoy es ${new Date().toISOString().slice(0, 10)}. Las herramientas que modifican datos quedan pendientes hasta que el usuario las confirma desde la aplicación; nunca des por hecha una acción que no se ha confirmado.`;
+    
+    let session = null;
+    let history = conversationHistory;
+    
+    if (sessionId) {
+      session = await loadChatSession(req, sessionId);
+      
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Chat session not found'
+        });
+      }
+      
+      history = (await loadChatMessages(session.id)).map(m => ({ role: m.role, content: m.content }));
+    } else if (saveSession) {
+      session = await createChatSession(req);
+    }
+    
+    let userContent = message;
+    
+    // The confirmation comes from the user's request, never from a tool call
+    if (confirmAction) {
+      const confirmation = await confirmPendingAction(req.location, confirmAction, req.user?.id);
+      
+      if (!confirmation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Pending action not found, expired or already confirmed'
+        });
+      }
+      
+      userContent = `${message || 'Confirmo la acción.'}\n\n[Acción ${confirmation.action.tool} confirmada por el usuario y ejecutada: ${JSON.stringify(confirmation.result)}]`;
+    }
     
     const messages = [
-      ...conversationHistory,
+      ...history,
       {
         role: "user",
-        content: message
+        content: userContent
       }
     ];
     
-    let response = await anthropic.messages.create({
+    if (stream) events = openEventStream(req, res);
+    
+    let response = await createClaudeMessage({
       model: "claude-sonnet-4-5-20250929",
       max_tokens: 4000,
+      system,
       tools: mcpTools,
       messages: messages
-    });
+    }, events);
+    
+    const totalUsage = {
+      inputTokens: response.usage.input_tokens,
+      outputTokens: response.usage.output_tokens,
+    };
     
     console.log(`Stop reason: ${response.stop_reason}`);
     
+    let iterations = 0;
+    let iterationLimitReached = false;
+    const pendingActions = [];
+    
     while (response.stop_reason === "tool_use") {
-      const toolUse = response.content.find(block => block.type === "tool_use");
+      const toolUses = response.content.filter(block => block.type === "tool_use");
+      
+      if (toolUses.length === 0) break;
+      
+      if (iterations >= MCP_MAX_TOOL_ITERATIONS) {
+        console.warn(`MCP chat stopped after ${iterations} tool iterations`);
+        iterationLimitReached = true;
+        break;
+      }
+      
+      iterations++;
       
-      if (!toolUse) break;
+      console.log(`Claude wants to use tools: ${toolUses.map(t => t.name).join(', ')}`);
       
-      console.log(`Claude wants to use tool: ${toolUse.name}`);
+      const toolResults = await executeToolCalls(toolUses, req.location, events, req.user?.id);
       
-      const toolResult = await executeMCPTool(toolUse.name, toolUse.input);
+      if (events?.closed) return;
       
       messages.push({
         role: "assistant",
@@ -1735,50 +6882,269 @@ app.post('/api/chat-mcp', async (req, res) => {
       
       messages.push({
         role: "user",
-        content: [
-          {
-            type: "tool_result",
-            tool_use_id: toolUse.id,
-            content: JSON.stringify(toolResult)
-          }
-        ]
+        content: toolResults
       });
       
-      response = await anthropic.messages.create({
+      // A write tool ends the turn: the user has to confirm it in a new request
+      for (const toolResult of toolResults) {
+        const result = JSON.parse(toolResult.content);
+        if (result?.requiresConfirmation) pendingActions.push(result.action);
+      }
+      
+      if (pendingActions.length > 0) break;
+      
+      response = await createClaudeMessage({
         model: "claude-sonnet-4-5-20250929",
         max_tokens: 4000,
+        system,
         tools: mcpTools,
         messages: messages
-      });
+      }, events);
+      
+      totalUsage.inputTokens += response.usage.input_tokens;
+      totalUsage.outputTokens += response.usage.output_tokens;
       
       console.log(`Stop reason: ${response.stop_reason}`);
     }
     
-    const finalResponse = response.content.find(block => block.type === "text")?.text || 
-                          "No pude generar una respuesta.";
+    const replyText = response.content.find(block => block.type === "text")?.text;
+    
+    const finalResponse = pendingActions.length > 0
+      ? [
+          replyText,
+          `Esta acción necesita tu confirmación antes de ejecutarse:\n${pendingActions.map(action => `- ${action.tool} ${JSON.stringify(action.input)}`).join('\n')}`,
+        ].filter(Boolean).join('\n\n')
+      : replyText ||
+        (iterationLimitReached
+          ? "Alcancé el límite de consultas a herramientas para esta pregunta. Intenta acotarla un poco más."
+          : "No pude generar una respuesta.");
+    
+    const updatedHistory = [
+      ...history,
+      {
+        role: "user",
+        content: userContent
+      },
+      {
+        role: "assistant",
+        content: finalResponse
+      }
+    ];
+    
+    let title = session?.title || null;
+    
+    if (session) {
+      // A reply cut off by the iteration cap still holds unanswered tool_use blocks, which
+      // Claude would reject when the session is resumed. A pending action already answered
+      // its tool_use blocks, so the notice is stored as the closing reply.
+      messages.push({
+        role: "assistant",
+        content: iterationLimitReached || pendingActions.length > 0 ? finalResponse : response.content
+      });
+      
+      await appendChatMessages(session.id, history.length, messages.slice(history.length));
+      
+      if (!title && generateTitle) {
+        try {
+          title = await saveChatTitle(session.id, messages);
+        } catch (titleError) {
+          console.error('Error generating chat title:', titleError.message);
+        }
+      }
+    }
+    
+    const sessionInfo = session ? { sessionId: session.id, title } : {};
+    
+    if (events) {
+      events.send('usage', totalUsage);
+      events.send('done', {
+        response: finalResponse,
+        conversationHistory: updatedHistory,
+        toolIterations: iterations,
+        iterationLimitReached,
+        pendingActions,
+        ...sessionInfo,
+      });
+      return events.end();
+    }
     
     res.json({
       success: true,
       response: finalResponse,
-      conversationHistory: [
-        ...conversationHistory,
-        {
-          role: "user",
-          content: message
-        },
-        {
-          role: "assistant",
-          content: finalResponse
-        }
-      ],
-      usage: {
-        inputTokens: response.usage.input_tokens,
-        outputTokens: response.usage.output_tokens,
-      }
+      conversationHistory: updatedHistory,
+      toolIterations: iterations,
+      iterationLimitReached,
+      pendingActions,
+      ...sessionInfo,
+      usage: totalUsage,
     });
     
   } catch (error) {
     console.error('MCP Chat error:', error.message);
+    sendChatError(res, events, error);
+  }
+});
+
+const MCP_RESOURCE_PREFIX = 'highlevel-audit://';
+
+async function listMCPResources(location) {
+  const { data: prompts, error: promptsError } = await supabase
+    .from('prompts')
+    .select('id, version, prompt_type')
+    .eq('location_id', location.locationId)
+    .eq('is_active', true);
+  
+  if (promptsError) throw promptsError;
+  
+  const { data: analyses, error: analysesError } = await supabase
+    .from('analyses')
+    .select('id, contact_name, prompt_type, verdict, overall_score, created_at')
+    .eq('location_id', location.locationId)
+    .order('created_at', { ascending: false })
+    .limit(50);
+  
+  if (analysesError) throw analysesError;
+  
+  return [
+    ...prompts.map(p => ({
+      uri: `${MCP_RESOURCE_PREFIX}prompts/${p.id}`,
+      name: `Prompt ${p.prompt_type} activo (v${p.version})`,
+      mimeType: 'text/markdown',
+    })),
+    ...analyses.map(a => ({
+      uri: `${MCP_RESOURCE_PREFIX}analyses/${a.id}`,
+      name: `Auditoría ${a.prompt_type} - ${a.contact_name}`,
+      description: `${a.created_at.slice(0, 10)} | ${a.verdict || 'sin veredicto'} | ${a.overall_score ?? '-'}/10`,
+      mimeType: 'application/json',
+    })),
+  ];
+}
+
+const MCP_RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: `${MCP_RESOURCE_PREFIX}analyses/{analysisId}`,
+    name: 'Auditoría',
+    description: 'Una auditoría guardada con su resultado estructurado',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: `${MCP_RESOURCE_PREFIX}contacts/{contactId}/analyses/latest`,
+    name: 'Última auditoría de un contacto',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: `${MCP_RESOURCE_PREFIX}prompts/{promptId}`,
+    name: 'Versión de un prompt',
+    mimeType: 'text/markdown',
+  },
+];
+
+async function readMCPResource(location, uri) {
+  const resourcePath = uri.startsWith(MCP_RESOURCE_PREFIX) ? uri.slice(MCP_RESOURCE_PREFIX.length) : '';
+  let match;
+  
+  if ((match = resourcePath.match(/^prompts\/([^/]+)$/))) {
+    const { data: prompt, error } = await supabase
+      .from('prompts')
+      .select('*')
+      .eq('location_id', location.locationId)
+      .eq('id', match[1])
+      .maybeSingle();
+    
+    if (error) throw error;
+    if (!prompt) throw new Error(`Prompt not found: ${uri}`);
+    
+    return { uri, mimeType: 'text/markdown', text: prompt.content };
+  }
+  
+  let query = supabase
+    .from('analyses')
+    .select('*')
+    .eq('location_id', location.locationId);
+  
+  if ((match = resourcePath.match(/^analyses\/([^/]+)$/))) {
+    query = query.eq('id', match[1]);
+  } else if ((match = resourcePath.match(/^contacts\/([^/]+)\/analyses\/latest$/))) {
+    query = query.eq('contact_id', match[1]).order('created_at', { ascending: false }).limit(1);
+  } else {
+    throw new Error(`Unknown resource: ${uri}`);
+  }
+  
+  const { data: analysis, error } = await query.maybeSingle();
+  
+  if (error) throw error;
+  if (!analysis) throw new Error(`Analysis not found: ${uri}`);
+  
+  const { transcriptions, ...formatted } = formatAnalysis(analysis);
+  return { uri, mimeType: 'application/json', text: JSON.stringify(formatted, null, 2) };
+}
+
+// Exposes the same mcpTools/executeMCPTool registry the chat route uses, bound to one location
+function createMCPServer(location, userId = null) {
+  const server = new Server(
+    { name: 'highlevel-audit', version: '2.7.0' },
+    {
+      capabilities: { tools: {}, resources: {} },
+      instructions: `Herramientas de auditoría para la subcuenta de HighLevel "${location.name}" (locationId: ${location.locationId}).`,
+    }
+  );
+  
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: mcpTools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.input_schema,
+    })),
+  }));
+  
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const result = await executeMCPTool(
+      request.params.name,
+      request.params.arguments || {},
+      location,
+      userId
+    );
+    
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      isError: Boolean(result?.error),
+    };
+  });
+  
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+    resources: await listMCPResources(location),
+  }));
+  
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: MCP_RESOURCE_TEMPLATES,
+  }));
+  
+  server.setRequestHandler(ReadResourceRequestSchema, async (request) => ({
+    contents: [await readMCPResource(location, request.params.uri)],
+  }));
+  
+  return server;
+}
+
+// MCP clients get an action id back from write tools; the user confirms it here
+api.post('/pending-actions/:id/confirm', requireRole('auditor'), async (req, res) => {
+  try {
+    const confirmation = await confirmPendingAction(req.location, req.params.id, req.user?.id);
+    
+    if (!confirmation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending action not found, expired or already confirmed'
+      });
+    }
+    
+    res.json({
+      success: !confirmation.result?.error,
+      action: confirmation.action,
+      result: confirmation.result,
+    });
+  } catch (error) {
+    console.error('Error confirming pending action:', error.message);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -1786,17 +7152,90 @@ app.post('/api/chat-mcp', async (req, res) => {
   }
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 HighLevel Audit API v2.7 running on port ${PORT}`);
-  console.log(`📍 Health: http://localhost:${PORT}/health`);
-  console.log(`💾 Database: Supabase PostgreSQL`);
-  console.log(`🎯 Features:`);
-  console.log(`   - Persistent storage with Supabase`);
-  console.log(`   - Dual prompts management (Setter/Closer)`);
-  console.log(`   - Full contact analysis`);
-  console.log(`   - Opportunities with optimized pipeline filtering`);
-  console.log(`   - MCP-enabled intelligent chat`);
-  console.log(`   - Contacts caching`);
-  console.log(`   - Analysis history by type`);
+// Stateless Streamable HTTP: every POST gets its own server and transport
+api.post('/mcp', requireRole('auditor'), async (req, res) => {
+  const server = createMCPServer(req.location, req.user?.id);
+  const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+  
+  res.on('close', () => {
+    transport.close();
+    server.close();
+  });
+  
+  try {
+    await server.connect(transport);
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    console.error('MCP request error:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({
+        jsonrpc: '2.0',
+        error: { code: -32603, message: error.message },
+        id: null,
+      });
+    }
+  }
+});
+
+api.all('/mcp', (req, res) => {
+  res.status(405).set('Allow', 'POST').json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message: 'Method not allowed. This MCP endpoint is stateless, use POST.' },
+    id: null,
+  });
 });
+
+async function startMCPStdio() {
+  const locationArg = process.argv.indexOf('--location');
+  const locationId = locationArg !== -1 ? process.argv[locationArg + 1] : HIGHLEVEL_LOCATION_ID;
+  
+  const location = locationId ? await getLocationContext(locationId) : null;
+  
+  if (!location) {
+    console.error(`Unknown location "${locationId || ''}". Pass --location <locationId> or set HIGHLEVEL_LOCATION_ID.`);
+    process.exit(1);
+  }
+  
+  await createMCPServer(location).connect(new StdioServerTransport());
+  console.error(`HighLevel audit MCP server running on stdio (${location.locationId})`);
+}
+
+app.use('/api/locations/:locationId', resolveLocation, api);
+app.use('/api', resolveLocation, api);
+
+const PORT = process.env.PORT || 3000;
+
+if (MCP_STDIO) {
+  startMCPStdio().catch(error => {
+    console.error('MCP stdio server error:', error.message);
+    process.exit(1);
+  });
+} else {
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`🚀 HighLevel Audit API v2.7 running on port ${PORT}`);
+    console.log(`📍 Health: http://localhost:${PORT}/health`);
+    console.log(`💾 Database: Supabase PostgreSQL`);
+    console.log(`🎯 Features:`);
+    console.log(`   - Persistent storage with Supabase`);
+    console.log(`   - Prompt management (setter, closer and custom types)`);
+    console.log(`   - Full contact analysis`);
+    console.log(`   - Opportunities with optimized pipeline filtering`);
+    console.log(`   - MCP-enabled intelligent chat`);
+    console.log(`   - MCP server: POST /api/mcp (stdio: npm run mcp)`);
+    console.log(`   - Contacts caching`);
+    console.log(`   - Analysis history by type`);
+    console.log(`   - Background analysis jobs (concurrency ${JOB_CONCURRENCY})`);
+    console.log(`   - Multi-location (default: ${HIGHLEVEL_LOCATION_ID || 'none'})`);
+    console.log(`   - HighLevel OAuth: ${HIGHLEVEL_CLIENT_ID ? 'enabled' : 'disabled'}`);
+    console.log(`   - Auth: ${AUTH_DISABLED ? 'DISABLED' : 'Supabase JWT (viewer/auditor/admin)'}`);
+    console.log(`   - Webhooks: ${process.env.HIGHLEVEL_WEBHOOK_PUBLIC_KEY ? 'enabled' : 'disabled (HIGHLEVEL_WEBHOOK_PUBLIC_KEY not set)'}`);
+  
+    backfillDefaultLocation();
+    recoverInterruptedJobs()
+      .then(resumeInterruptedBatches)
+      .then(processJobQueue);
+    resumeSyncJobs();
+    failInterruptedEvalRuns();
+    setInterval(processJobQueue, JOB_POLL_INTERVAL_MS);
+  });
+}
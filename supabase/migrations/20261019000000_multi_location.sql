@@ -0,0 +1,267 @@
+-- Schema for multi-location support, background jobs, webhooks, write-back, chat sessions,
+-- evals, snapshots and prompt templating. Safe to run more than once.
+--
+-- Rows created before this migration have no location_id. The server assigns them to
+-- HIGHLEVEL_LOCATION_ID on startup, so set that variable before deploying.
+
+create extension if not exists pgcrypto;
+
+-- Existing tables
+
+alter table prompts add column if not exists location_id text;
+alter table prompts add column if not exists change_note text;
+create index if not exists prompts_location_type_idx on prompts (location_id, prompt_type, version desc);
+
+alter table analyses add column if not exists location_id text;
+alter table analyses add column if not exists structured_output jsonb;
+alter table analyses add column if not exists overall_score numeric;
+alter table analyses add column if not exists verdict text;
+alter table analyses add column if not exists scores jsonb;
+alter table analyses add column if not exists objections jsonb;
+alter table analyses add column if not exists next_step jsonb;
+alter table analyses add column if not exists red_flags jsonb;
+alter table analyses add column if not exists writeback jsonb;
+create index if not exists analyses_location_contact_idx on analyses (location_id, contact_id, created_at desc);
+
+alter table contacts_cache add column if not exists location_id text;
+alter table contacts_cache add column if not exists has_analysis boolean default false;
+alter table contacts_cache add column if not exists analysis_stale boolean default false;
+create index if not exists contacts_cache_location_idx on contacts_cache (location_id, last_synced desc);
+
+alter table opportunities_cache add column if not exists location_id text;
+alter table opportunities_cache add column if not exists analysis_stale boolean default false;
+create index if not exists opportunities_cache_location_idx on opportunities_cache (location_id, contact_id);
+
+-- Locations and HighLevel integration
+
+create table if not exists locations (
+  location_id text primary key,
+  name text,
+  company_id text,
+  auth_type text not null default 'api_key',
+  api_key text,
+  access_token text,
+  refresh_token text,
+  token_expires_at timestamptz,
+  scopes text,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists sync_jobs (
+  id uuid primary key default gen_random_uuid(),
+  location_id text not null,
+  type text not null,
+  status text not null,
+  cursor jsonb,
+  processed integer not null default 0,
+  pages integer not null default 0,
+  total integer,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  finished_at timestamptz
+);
+
+create table if not exists webhook_events (
+  webhook_id text primary key,
+  location_id text,
+  type text,
+  received_at timestamptz not null default now()
+);
+
+create table if not exists writeback_settings (
+  location_id text not null,
+  prompt_type text not null,
+  config jsonb not null default '{}',
+  updated_by text,
+  updated_at timestamptz not null default now(),
+  primary key (location_id, prompt_type)
+);
+
+-- Transcriptions, cached per recording, provider and requested language
+
+create table if not exists transcriptions (
+  id uuid primary key default gen_random_uuid(),
+  message_id text not null,
+  location_id text not null,
+  provider text not null,
+  requested_language text not null,
+  text text,
+  segments jsonb not null default '[]',
+  language text,
+  duration numeric,
+  model text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  unique (message_id, provider, requested_language)
+);
+
+-- Analysis jobs and batches
+
+create table if not exists analysis_batches (
+  id uuid primary key default gen_random_uuid(),
+  location_id text not null,
+  prompt_id uuid,
+  prompt_type text,
+  filters jsonb,
+  concurrency integer not null default 3,
+  status text not null,
+  skipped jsonb not null default '[]',
+  summary jsonb,
+  created_by text,
+  created_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create table if not exists analysis_jobs (
+  id uuid primary key default gen_random_uuid(),
+  location_id text not null,
+  contact_id text not null,
+  user_id text,
+  prompt_id uuid,
+  prompt_type text,
+  options jsonb not null default '{}',
+  status text not null,
+  current_step integer not null default 0,
+  step_label text,
+  error text,
+  analysis_id uuid,
+  batch_id uuid references analysis_batches (id) on delete cascade,
+  result jsonb,
+  attempts integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz,
+  started_at timestamptz,
+  finished_at timestamptz
+);
+
+create index if not exists analysis_jobs_queue_idx on analysis_jobs (status, batch_id, created_at);
+create index if not exists analysis_jobs_location_idx on analysis_jobs (location_id, created_at desc);
+
+create table if not exists analysis_snapshots (
+  analysis_id uuid primary key,
+  location_id text not null,
+  contact_id text not null,
+  contact jsonb,
+  messages jsonb,
+  prompt jsonb,
+  custom_fields jsonb,
+  opportunity jsonb,
+  rendered_prompt text,
+  full_context text,
+  options jsonb,
+  created_at timestamptz not null default now()
+);
+
+-- Prompt templating and types
+
+create table if not exists prompt_partials (
+  location_id text not null,
+  name text not null,
+  content text not null,
+  updated_by text,
+  updated_at timestamptz not null default now(),
+  primary key (location_id, name)
+);
+
+create table if not exists prompt_types (
+  location_id text not null,
+  key text not null,
+  name text not null,
+  description text,
+  default_settings jsonb not null default '{}',
+  is_archived boolean not null default false,
+  created_by text,
+  created_at timestamptz not null default now(),
+  primary key (location_id, key)
+);
+
+-- Chat sessions
+
+create table if not exists chat_sessions (
+  id uuid primary key default gen_random_uuid(),
+  location_id text not null,
+  user_id text,
+  title text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists chat_messages (
+  id uuid primary key default gen_random_uuid(),
+  session_id uuid not null references chat_sessions (id) on delete cascade,
+  position integer not null,
+  role text not null,
+  content jsonb not null,
+  created_at timestamptz not null default now(),
+  unique (session_id, position)
+);
+
+-- Prompt evaluations
+
+create table if not exists eval_sets (
+  id uuid primary key default gen_random_uuid(),
+  location_id text not null,
+  name text not null,
+  prompt_type text not null,
+  description text,
+  created_by text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists eval_cases (
+  id uuid primary key default gen_random_uuid(),
+  set_id uuid not null references eval_sets (id) on delete cascade,
+  location_id text not null,
+  contact_id text not null,
+  contact_name text,
+  expected_verdict text,
+  expected_score numeric,
+  notes text,
+  snapshot jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists eval_runs (
+  id uuid primary key default gen_random_uuid(),
+  set_id uuid not null references eval_sets (id) on delete cascade,
+  location_id text not null,
+  prompt_ids uuid[] not null,
+  status text not null,
+  completed_count integer not null default 0,
+  total_count integer not null default 0,
+  report jsonb,
+  error text,
+  created_by text,
+  created_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+create table if not exists eval_results (
+  id uuid primary key default gen_random_uuid(),
+  run_id uuid not null references eval_runs (id) on delete cascade,
+  case_id uuid not null references eval_cases (id) on delete cascade,
+  prompt_id uuid not null,
+  prompt_version integer,
+  analysis_text text,
+  structured_output jsonb,
+  verdict text,
+  overall_score numeric,
+  error text,
+  created_at timestamptz not null default now()
+);
+
+-- Write actions proposed by the chat or MCP tools, run only once the user confirms them
+
+create table if not exists mcp_pending_actions (
+  id uuid primary key default gen_random_uuid(),
+  location_id text not null,
+  user_id text,
+  tool_name text not null,
+  tool_input jsonb not null default '{}',
+  status text not null default 'pending',
+  result jsonb,
+  created_at timestamptz not null default now(),
+  confirmed_at timestamptz
+);